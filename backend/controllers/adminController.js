@@ -0,0 +1,511 @@
+import Experiment from "../models/Experiment.js";
+import MerchandisingRule from "../models/MerchandisingRule.js";
+import ComplementRule from "../models/ComplementRule.js";
+import User from "../models/User.js";
+import recommendationEngine from "../utils/recommender.js";
+import trainingScheduler from "../utils/trainingJobs.js";
+import {
+  validateExperiment,
+  aggregateExperimentResults,
+} from "../utils/experiments.js";
+import { validateRule } from "../utils/merchandising.js";
+import { validateComplementRule } from "../utils/complements.js";
+
+const RULE_FIELDS = [
+  "name",
+  "description",
+  "active",
+  "priority",
+  "conditions",
+  "action",
+  "startDate",
+  "endDate",
+];
+
+const COMPLEMENT_RULE_FIELDS = ["description", "active", "source", "targets"];
+
+const pickFields = (fields, body) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => body[field] !== undefined)
+      .map((field) => [field, body[field]])
+  );
+
+const pickRuleFields = (body) => pickFields(RULE_FIELDS, body);
+
+// List all recommendation experiments
+export const getExperiments = async (req, res) => {
+  try {
+    const experiments = await Experiment.find({}).sort({ createdAt: -1 });
+
+    res.json({
+      experiments,
+      count: experiments.length,
+    });
+  } catch (error) {
+    console.error("Get experiments error:", error);
+    res.status(500).json({
+      error: "Failed to fetch experiments",
+      message: "An error occurred while fetching experiments",
+    });
+  }
+};
+
+// Create a new experiment
+export const createExperiment = async (req, res) => {
+  try {
+    const validationError = validateExperiment(
+      req.body,
+      recommendationEngine.strategies.names()
+    );
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid experiment",
+        message: validationError,
+      });
+    }
+
+    const existing = await Experiment.findOne({ key: req.body.key });
+    if (existing) {
+      return res.status(409).json({
+        error: "Experiment already exists",
+        message: `An experiment with key ${req.body.key} already exists`,
+      });
+    }
+
+    const { key, name, description, status, trafficAllocation, variants } =
+      req.body;
+    const experiment = new Experiment({
+      key,
+      name,
+      description,
+      status,
+      trafficAllocation,
+      variants,
+      startDate: status === "running" ? new Date() : undefined,
+    });
+    await experiment.save();
+
+    res.status(201).json({
+      message: "Experiment created successfully",
+      experiment,
+    });
+  } catch (error) {
+    console.error("Create experiment error:", error);
+    res.status(500).json({
+      error: "Failed to create experiment",
+      message: "An error occurred while creating the experiment",
+    });
+  }
+};
+
+// Update an experiment's definition or status
+export const updateExperiment = async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({
+        error: "Experiment not found",
+        message: "Experiment with the specified ID was not found",
+      });
+    }
+
+    const updates = {
+      name: req.body.name ?? experiment.name,
+      key: experiment.key,
+      status: req.body.status ?? experiment.status,
+      trafficAllocation:
+        req.body.trafficAllocation ?? experiment.trafficAllocation,
+      variants: req.body.variants ?? experiment.variants,
+    };
+    // Stored variants may use a strategy unregistered since, which must not
+    // stop the experiment from being paused or completed
+    const validationError = validateExperiment(
+      updates,
+      req.body.variants ? recommendationEngine.strategies.names() : null
+    );
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid experiment",
+        message: validationError,
+      });
+    }
+
+    // Reassigning variants mid-flight would mix populations
+    if (req.body.variants && experiment.status !== "draft") {
+      return res.status(400).json({
+        error: "Experiment already started",
+        message: "Variants can only be changed while an experiment is a draft",
+      });
+    }
+
+    const { name, description, trafficAllocation, variants, status } = req.body;
+    if (name !== undefined) experiment.name = name;
+    if (description !== undefined) experiment.description = description;
+    if (trafficAllocation !== undefined) {
+      experiment.trafficAllocation = trafficAllocation;
+    }
+    if (variants !== undefined) experiment.variants = variants;
+
+    if (status !== undefined && status !== experiment.status) {
+      if (status === "running" && !experiment.startDate) {
+        experiment.startDate = new Date();
+      }
+      if (status === "completed") {
+        experiment.endDate = new Date();
+      }
+      experiment.status = status;
+    }
+
+    await experiment.save();
+
+    res.json({
+      message: "Experiment updated successfully",
+      experiment,
+    });
+  } catch (error) {
+    console.error("Update experiment error:", error);
+    res.status(500).json({
+      error: "Failed to update experiment",
+      message: "An error occurred while updating the experiment",
+    });
+  }
+};
+
+// Aggregate downstream interactions per experiment variant
+export const getExperimentResults = async (req, res) => {
+  try {
+    const experiment = await Experiment.findById(req.params.id);
+    if (!experiment) {
+      return res.status(404).json({
+        error: "Experiment not found",
+        message: "Experiment with the specified ID was not found",
+      });
+    }
+
+    const users = await User.find({}).select("_id interactions");
+    const variants = aggregateExperimentResults(experiment, users);
+
+    res.json({
+      experiment: {
+        id: experiment._id,
+        key: experiment.key,
+        status: experiment.status,
+        startDate: experiment.startDate,
+        endDate: experiment.endDate,
+      },
+      variants,
+    });
+  } catch (error) {
+    console.error("Get experiment results error:", error);
+    res.status(500).json({
+      error: "Failed to get experiment results",
+      message: "An error occurred while aggregating experiment results",
+    });
+  }
+};
+
+// List all merchandising rules
+export const getRules = async (req, res) => {
+  try {
+    const rules = await MerchandisingRule.find({}).sort({
+      priority: -1,
+      createdAt: -1,
+    });
+
+    res.json({
+      rules,
+      count: rules.length,
+    });
+  } catch (error) {
+    console.error("Get merchandising rules error:", error);
+    res.status(500).json({
+      error: "Failed to fetch merchandising rules",
+      message: "An error occurred while fetching merchandising rules",
+    });
+  }
+};
+
+// Create a merchandising rule; it applies to lists served from now on
+export const createRule = async (req, res) => {
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid rule",
+        message: validationError,
+      });
+    }
+
+    const rule = new MerchandisingRule(pickRuleFields(req.body));
+    await rule.save();
+    await recommendationEngine.loadMerchandisingRules();
+
+    res.status(201).json({
+      message: "Merchandising rule created successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Create merchandising rule error:", error);
+    res.status(500).json({
+      error: "Failed to create merchandising rule",
+      message: "An error occurred while creating the merchandising rule",
+    });
+  }
+};
+
+// Update a merchandising rule
+export const updateRule = async (req, res) => {
+  try {
+    const rule = await MerchandisingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: "Rule not found",
+        message: "Merchandising rule with the specified ID was not found",
+      });
+    }
+
+    const updates = pickRuleFields(req.body);
+    const validationError = validateRule({
+      name: rule.name,
+      action: rule.action,
+      startDate: rule.startDate,
+      endDate: rule.endDate,
+      ...updates,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid rule",
+        message: validationError,
+      });
+    }
+
+    rule.set(updates);
+    await rule.save();
+    await recommendationEngine.loadMerchandisingRules();
+
+    res.json({
+      message: "Merchandising rule updated successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Update merchandising rule error:", error);
+    res.status(500).json({
+      error: "Failed to update merchandising rule",
+      message: "An error occurred while updating the merchandising rule",
+    });
+  }
+};
+
+// Delete a merchandising rule
+export const deleteRule = async (req, res) => {
+  try {
+    const rule = await MerchandisingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: "Rule not found",
+        message: "Merchandising rule with the specified ID was not found",
+      });
+    }
+
+    await recommendationEngine.loadMerchandisingRules();
+
+    res.json({
+      message: "Merchandising rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete merchandising rule error:", error);
+    res.status(500).json({
+      error: "Failed to delete merchandising rule",
+      message: "An error occurred while deleting the merchandising rule",
+    });
+  }
+};
+
+// List all complement rules
+export const getComplementRules = async (req, res) => {
+  try {
+    const rules = await ComplementRule.find({}).sort({ createdAt: -1 });
+
+    res.json({
+      rules,
+      count: rules.length,
+    });
+  } catch (error) {
+    console.error("Get complement rules error:", error);
+    res.status(500).json({
+      error: "Failed to fetch complement rules",
+      message: "An error occurred while fetching complement rules",
+    });
+  }
+};
+
+// Create a complement rule; it is served from now on
+export const createComplementRule = async (req, res) => {
+  try {
+    const fields = pickFields(COMPLEMENT_RULE_FIELDS, req.body);
+    const validationError = validateComplementRule(fields);
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid complement rule",
+        message: validationError,
+      });
+    }
+
+    const rule = new ComplementRule(fields);
+    await rule.save();
+    await recommendationEngine.loadComplementRules();
+
+    res.status(201).json({
+      message: "Complement rule created successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Create complement rule error:", error);
+    res.status(500).json({
+      error: "Failed to create complement rule",
+      message: "An error occurred while creating the complement rule",
+    });
+  }
+};
+
+// Update a complement rule
+export const updateComplementRule = async (req, res) => {
+  try {
+    const rule = await ComplementRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: "Rule not found",
+        message: "Complement rule with the specified ID was not found",
+      });
+    }
+
+    const updates = pickFields(COMPLEMENT_RULE_FIELDS, req.body);
+    const validationError = validateComplementRule({
+      source: rule.source,
+      targets: rule.targets,
+      ...updates,
+    });
+    if (validationError) {
+      return res.status(400).json({
+        error: "Invalid complement rule",
+        message: validationError,
+      });
+    }
+
+    rule.set(updates);
+    await rule.save();
+    await recommendationEngine.loadComplementRules();
+
+    res.json({
+      message: "Complement rule updated successfully",
+      rule,
+    });
+  } catch (error) {
+    console.error("Update complement rule error:", error);
+    res.status(500).json({
+      error: "Failed to update complement rule",
+      message: "An error occurred while updating the complement rule",
+    });
+  }
+};
+
+// Delete a complement rule
+export const deleteComplementRule = async (req, res) => {
+  try {
+    const rule = await ComplementRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        error: "Rule not found",
+        message: "Complement rule with the specified ID was not found",
+      });
+    }
+
+    await recommendationEngine.loadComplementRules();
+
+    res.json({
+      message: "Complement rule deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete complement rule error:", error);
+    res.status(500).json({
+      error: "Failed to delete complement rule",
+      message: "An error occurred while deleting the complement rule",
+    });
+  }
+};
+
+// Learned hybrid blend arm statistics per user segment
+export const getBanditStats = async (req, res) => {
+  try {
+    res.json({
+      segments: recommendationEngine.getBanditStats(),
+    });
+  } catch (error) {
+    console.error("Get bandit statistics error:", error);
+    res.status(500).json({
+      error: "Failed to fetch bandit statistics",
+      message: "An error occurred while fetching bandit statistics",
+    });
+  }
+};
+
+// Scheduled background jobs with their next and last runs
+export const getJobs = async (req, res) => {
+  try {
+    res.json({
+      jobs: trainingScheduler.getJobs(),
+      model: recommendationEngine.getModelInfo(),
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      error: "Failed to fetch jobs",
+      message: "An error occurred while fetching background jobs",
+    });
+  }
+};
+
+// Recent job runs, newest first, optionally for one job
+export const getJobHistory = async (req, res) => {
+  try {
+    const { job } = req.query;
+    res.json({
+      history: trainingScheduler.getHistory(job || null),
+    });
+  } catch (error) {
+    console.error("Get job history error:", error);
+    res.status(500).json({
+      error: "Failed to fetch job history",
+      message: "An error occurred while fetching job history",
+    });
+  }
+};
+
+// Run a job now, outside its schedule
+export const runJob = async (req, res) => {
+  try {
+    const run = trainingScheduler.trigger(req.params.name, "manual");
+    if (!run) {
+      return res.status(404).json({
+        error: "Job not found",
+        message: `No job named ${req.params.name}`,
+      });
+    }
+    if (run.status === "skipped") {
+      return res.status(409).json({
+        error: "Job not started",
+        message: run.error,
+        run,
+      });
+    }
+
+    res.status(202).json({ run });
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(500).json({
+      error: "Failed to run job",
+      message: "An error occurred while starting the job",
+    });
+  }
+};
@@ -1,5 +1,74 @@
 import Product from "../models/Product.js";
 import recommendationEngine from "../utils/recommender.js";
+import {
+  parseDiversity,
+  DIVERSITY_CANDIDATE_FACTOR,
+} from "../utils/diversity.js";
+
+const SEARCH_MODES = ["keyword", "semantic"];
+
+// Minimum LSA similarity for a product to match a semantic search
+const SEMANTIC_MIN_SCORE = 0.2;
+
+// Share of a personalized score that comes from the user's affinity rather
+// than from search relevance
+const PERSONALIZATION_WEIGHT = 0.5;
+
+// One page of the filtered products ranked by the signed-in user's
+// affinity, scaled by relevance scores when there are any. The whole
+// filtered set is ranked from product ids alone; documents are loaded for
+// the page only. Returns { products, scores, totalCount }, or null for
+// anonymous callers and users the engine knows nothing about, who get the
+// fallback order.
+const getPersonalizedPage = async (
+  req,
+  filter,
+  skip,
+  limit,
+  relevance = null
+) => {
+  if (!req.user) return null;
+
+  const productIds = (
+    await Product.find(filter)
+      .select("product_id")
+      .sort({ product_name: 1 })
+      .lean()
+  ).map((product) => product.product_id);
+  const affinities = recommendationEngine.getAffinityScores(
+    req.user._id.toString(),
+    productIds,
+    { favoriteCategories: req.user.preferences?.favoriteCategories || [] }
+  );
+  if (!affinities) return null;
+
+  const scores = new Map(
+    productIds.map((productId) => [
+      productId,
+      (relevance ? relevance.get(productId) : 1) *
+        (1 -
+          PERSONALIZATION_WEIGHT +
+          PERSONALIZATION_WEIGHT * affinities.get(productId)),
+    ])
+  );
+  const pageIds = productIds
+    .sort((a, b) => scores.get(b) - scores.get(a))
+    .slice(skip, skip + limit);
+  const documents = new Map(
+    (await Product.find({ product_id: { $in: pageIds } })).map((product) => [
+      product.product_id,
+      product,
+    ])
+  );
+
+  return {
+    products: pageIds
+      .filter((productId) => documents.has(productId))
+      .map((productId) => documents.get(productId)),
+    scores,
+    totalCount: await Product.countDocuments(filter),
+  };
+};
 
 // Get all products with pagination and filtering
 export const getProducts = async (req, res) => {
@@ -51,22 +120,50 @@ export const getProducts = async (req, res) => {
       filter.is_on_sale = true;
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
-    // Execute query with pagination
     const skip = (page - 1) * limit;
-    const products = await Product.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    let products;
+    let totalCount;
+    let personalScores = null;
+
+    if (sortBy === "personalized") {
+      const page = await getPersonalizedPage(
+        req,
+        filter,
+        skip,
+        parseInt(limit)
+      );
+      if (page) {
+        personalScores = page.scores;
+        totalCount = page.totalCount;
+        products = page.products.map((product) => ({
+          ...product.toObject(),
+          personal_score: personalScores.get(product.product_id),
+        }));
+      }
+    }
 
-    // Get total count for pagination
-    const totalCount = await Product.countDocuments(filter);
+    if (!personalScores) {
+      // Build sort object
+      const sort = {};
+      if (sortBy === "personalized") {
+        sort.product_name = 1;
+      } else {
+        sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+      }
+
+      // Execute query with pagination
+      products = await Product.find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      // Get total count for pagination
+      totalCount = await Product.countDocuments(filter);
+    }
 
     res.json({
       products,
+      personalized: Boolean(personalScores),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalCount / limit),
@@ -111,7 +208,9 @@ export const getProductById = async (req, res) => {
       await recommendationEngine.updateUserInteraction(
         req.user._id.toString(),
         product.product_id,
-        "view"
+        "view",
+        null,
+        product
       );
     }
 
@@ -130,9 +229,13 @@ export const getFeaturedProducts = async (req, res) => {
   try {
     const { limit = 10 } = req.query;
 
-    const products = await Product.find({ is_featured: true })
-      .sort({ rating: -1, view_count: -1 })
-      .limit(parseInt(limit));
+    const products = recommendationEngine.applyMerchandising(
+      (
+        await Product.find({ is_featured: true })
+          .sort({ rating: -1, view_count: -1 })
+          .limit(parseInt(limit))
+      ).map((product) => product.toObject())
+    );
 
     res.json({
       products,
@@ -153,10 +256,14 @@ export const getSaleProducts = async (req, res) => {
     const { limit = 20, page = 1 } = req.query;
 
     const skip = (page - 1) * limit;
-    const products = await Product.find({ is_on_sale: true })
-      .sort({ sale_price: 1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const products = recommendationEngine.applyMerchandising(
+      (
+        await Product.find({ is_on_sale: true })
+          .sort({ sale_price: 1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+      ).map((product) => product.toObject())
+    );
 
     const totalCount = await Product.countDocuments({ is_on_sale: true });
 
@@ -207,6 +314,15 @@ export const getCategories = async (req, res) => {
   }
 };
 
+const INTERACTION_TYPES = [
+  "view",
+  "like",
+  "cart_add",
+  "purchase",
+  "dislike",
+  "hide",
+];
+
 // Track user interaction with product
 export const trackInteraction = async (req, res) => {
   try {
@@ -220,11 +336,12 @@ export const trackInteraction = async (req, res) => {
       });
     }
 
-    const validTypes = ["view", "like", "cart_add", "purchase"];
-    if (!validTypes.includes(type)) {
+    if (!INTERACTION_TYPES.includes(type)) {
       return res.status(400).json({
         error: "Invalid interaction type",
-        message: `Interaction type must be one of: ${validTypes.join(", ")}`,
+        message: `Interaction type must be one of: ${INTERACTION_TYPES.join(
+          ", "
+        )}`,
       });
     }
 
@@ -242,7 +359,8 @@ export const trackInteraction = async (req, res) => {
       req.user._id.toString(),
       parseInt(productId),
       type,
-      rating
+      rating,
+      product
     );
 
     res.json({
@@ -263,11 +381,139 @@ export const trackInteraction = async (req, res) => {
   }
 };
 
+// Get products frequently bought together with a product
+export const getBoughtTogether = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { limit = 10 } = req.query;
+
+    const product = await Product.findOne({ product_id: parseInt(productId) });
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+        message: "Product with the specified ID was not found",
+      });
+    }
+
+    const userId = req.user ? req.user._id.toString() : null;
+    const recommendations = recommendationEngine.applyMerchandising(
+      await recommendationEngine.getBoughtTogether(
+        parseInt(productId),
+        parseInt(limit),
+        userId
+      )
+    );
+
+    res.json({
+      recommendations,
+      count: recommendations.length,
+      type: "bought_together",
+      bundles: recommendationEngine.getBundles(parseInt(productId), userId),
+      basedOn: {
+        productId: parseInt(productId),
+        productName: product.product_name,
+      },
+    });
+  } catch (error) {
+    console.error("Get bought together error:", error);
+    res.status(500).json({
+      error: "Failed to get bought together products",
+      message:
+        "An error occurred while fetching frequently bought together products",
+    });
+  }
+};
+
+// Complementary products from other subcategories ("complete the set")
+export const getComplements = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { limit = 10 } = req.query;
+
+    const product = await Product.findOne({ product_id: parseInt(productId) });
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+        message: "Product with the specified ID was not found",
+      });
+    }
+
+    const userId = req.user ? req.user._id.toString() : null;
+    const recommendations = recommendationEngine.applyMerchandising(
+      await recommendationEngine.getComplements(
+        parseInt(productId),
+        parseInt(limit),
+        userId
+      )
+    );
+
+    res.json({
+      recommendations,
+      count: recommendations.length,
+      type: "complement",
+      basedOn: {
+        productId: parseInt(productId),
+        productName: product.product_name,
+        subcategory: product.subcategory,
+      },
+    });
+  } catch (error) {
+    console.error("Get complements error:", error);
+    res.status(500).json({
+      error: "Failed to get complementary products",
+      message: "An error occurred while fetching complementary products",
+    });
+  }
+};
+
+// Undo the latest interaction of a type, e.g. un-hiding a product
+export const undoInteraction = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { type } = req.query;
+
+    if (!INTERACTION_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: "Invalid interaction type",
+        message: `Interaction type must be one of: ${INTERACTION_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const removed = await recommendationEngine.removeUserInteraction(
+      req.user._id.toString(),
+      parseInt(productId),
+      type
+    );
+    if (!removed) {
+      return res.status(404).json({
+        error: "Interaction not found",
+        message: `No ${type} interaction with this product to undo`,
+      });
+    }
+
+    res.json({
+      message: "Interaction removed successfully",
+      interaction: {
+        productId: parseInt(productId),
+        type,
+      },
+    });
+  } catch (error) {
+    console.error("Undo interaction error:", error);
+    res.status(500).json({
+      error: "Failed to undo interaction",
+      message: "An error occurred while removing the interaction",
+    });
+  }
+};
+
 // Get product recommendations
 export const getProductRecommendations = async (req, res) => {
   try {
     const { productId } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, type = "content" } = req.query;
 
     // Verify product exists
     const product = await Product.findOne({ product_id: parseInt(productId) });
@@ -278,17 +524,49 @@ export const getProductRecommendations = async (req, res) => {
       });
     }
 
-    // Get content-based recommendations for this specific product
-    const recommendations =
-      await recommendationEngine.getContentBasedRecommendations(
-        req.user ? req.user._id.toString() : null,
+    const diversity = parseDiversity(req.query.diversity);
+    const candidateLimit =
+      diversity > 0
+        ? parseInt(limit) * DIVERSITY_CANDIDATE_FACTOR
+        : parseInt(limit);
+
+    const userId = req.user ? req.user._id.toString() : null;
+    let recommendations = [];
+
+    if (type === "item_cf") {
+      // Products frequently interacted with by the same users
+      recommendations = await recommendationEngine.getSimilarItems(
         parseInt(productId),
+        candidateLimit,
+        userId
+      );
+    } else {
+      // Get content-based recommendations for this specific product
+      recommendations =
+        await recommendationEngine.getContentBasedRecommendations(
+          userId,
+          parseInt(productId),
+          candidateLimit
+        );
+    }
+
+    if (diversity > 0) {
+      recommendations = recommendationEngine.diversify(
+        recommendations,
+        diversity,
         parseInt(limit)
       );
+    }
+
+    recommendations = recommendationEngine.applyMerchandising(recommendations);
 
     res.json({
       recommendations,
       count: recommendations.length,
+      type,
+      diversity,
+      intraListDiversity:
+        recommendationEngine.getIntraListDiversity(recommendations),
       basedOn: {
         productId: parseInt(productId),
         productName: product.product_name,
@@ -315,6 +593,7 @@ export const searchProducts = async (req, res) => {
       maxPrice,
       minRating,
       sortBy = "relevance",
+      mode = "keyword",
     } = req.query;
 
     if (!q) {
@@ -324,16 +603,34 @@ export const searchProducts = async (req, res) => {
       });
     }
 
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: "Invalid search mode",
+        message: `Search mode must be one of: ${SEARCH_MODES.join(", ")}`,
+      });
+    }
+
     // Build search filter
-    const filter = {
-      $or: [
+    const filter = {};
+    let semanticScores = null;
+
+    if (mode === "semantic") {
+      // Match on meaning in the LSA space rather than on literal terms
+      semanticScores = new Map(
+        recommendationEngine
+          .semanticSearch(q, SEMANTIC_MIN_SCORE)
+          .map(({ productId, score }) => [productId, score])
+      );
+      filter.product_id = { $in: Array.from(semanticScores.keys()) };
+    } else {
+      filter.$or = [
         { product_name: new RegExp(q, "i") },
         { description: new RegExp(q, "i") },
         { manufacturer: new RegExp(q, "i") },
         { category: new RegExp(q, "i") },
         { subcategory: new RegExp(q, "i") },
-      ],
-    };
+      ];
+    }
 
     // Add additional filters
     if (category) {
@@ -373,16 +670,66 @@ export const searchProducts = async (req, res) => {
     }
 
     const skip = (page - 1) * limit;
-    const products = await Product.find(filter)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    let products;
+    let totalCount;
+    let personalScores = null;
+
+    if (sortBy === "personalized") {
+      // Semantic relevance is weighed in when there is one
+      const page = await getPersonalizedPage(
+        req,
+        filter,
+        skip,
+        parseInt(limit),
+        semanticScores
+      );
+      if (page) {
+        personalScores = page.scores;
+        totalCount = page.totalCount;
+        products = page.products;
+      }
+    }
 
-    const totalCount = await Product.countDocuments(filter);
+    if (!personalScores) {
+      // Personalized searches nobody can be personalized for fall back to
+      // relevance order
+      if (semanticScores && ["relevance", "personalized"].includes(sortBy)) {
+        // Similarity is not stored, so rank and paginate the matches here
+        const matches = await Product.find(filter);
+        totalCount = matches.length;
+        products = matches
+          .sort(
+            (a, b) =>
+              semanticScores.get(b.product_id) -
+              semanticScores.get(a.product_id)
+          )
+          .slice(skip, skip + parseInt(limit));
+      } else {
+        products = await Product.find(filter)
+          .sort(sort)
+          .skip(skip)
+          .limit(parseInt(limit));
+        totalCount = await Product.countDocuments(filter);
+      }
+    }
+
+    if (semanticScores || personalScores) {
+      products = products.map((product) => ({
+        ...product.toObject(),
+        ...(semanticScores && {
+          semantic_score: semanticScores.get(product.product_id),
+        }),
+        ...(personalScores && {
+          personal_score: personalScores.get(product.product_id),
+        }),
+      }));
+    }
 
     res.json({
       products,
       query: q,
+      mode,
+      personalized: Boolean(personalScores),
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(totalCount / limit),
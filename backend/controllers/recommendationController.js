@@ -1,10 +1,21 @@
 import recommendationEngine from "../utils/recommender.js";
+import trainingScheduler from "../utils/trainingJobs.js";
 import Product from "../models/Product.js";
+import Experiment from "../models/Experiment.js";
+import { assignVariant } from "../utils/experiments.js";
+import {
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+} from "../utils/popularity.js";
+import {
+  parseDiversity,
+  DIVERSITY_CANDIDATE_FACTOR,
+} from "../utils/diversity.js";
 
 // Get personalized recommendations for authenticated user
 export const getUserRecommendations = async (req, res) => {
   try {
-    const { type = "hybrid", limit = 10 } = req.query;
+    const { limit = 10 } = req.query;
 
     if (!req.user) {
       return res.status(401).json({
@@ -13,31 +24,96 @@ export const getUserRecommendations = async (req, res) => {
       });
     }
 
-    let recommendations = [];
-
-    switch (type) {
-      case "content":
-        recommendations =
-          await recommendationEngine.getContentBasedRecommendations(
-            req.user._id.toString(),
-            null,
-            parseInt(limit)
-          );
-        break;
-      case "collaborative":
-        recommendations =
-          await recommendationEngine.getCollaborativeRecommendations(
-            req.user._id.toString(),
-            parseInt(limit)
-          );
-        break;
-      case "hybrid":
-      default:
-        recommendations = await recommendationEngine.getHybridRecommendations(
-          req.user._id.toString(),
-          parseInt(limit)
-        );
-        break;
+    if (
+      req.query.type &&
+      !recommendationEngine.strategies.has(req.query.type)
+    ) {
+      return res.status(400).json({
+        error: "Invalid type",
+        message: `Type must be one of: ${recommendationEngine.strategies
+          .names()
+          .join(", ")}`,
+      });
+    }
+
+    const userId = req.user._id.toString();
+    let type = req.query.type || "hybrid";
+    let params = {};
+    let experiment = null;
+    let bandit = null;
+
+    // A running experiment picks the strategy unless one was requested
+    if (!req.query.type) {
+      const activeExperiment = await Experiment.getActiveExperiment();
+      const variant = activeExperiment
+        ? assignVariant(activeExperiment, userId)
+        : null;
+
+      if (variant) {
+        type = variant.strategy;
+        params = variant.params || {};
+        experiment = {
+          id: activeExperiment._id,
+          key: activeExperiment.key,
+          variant: variant.key,
+        };
+      }
+    }
+
+    // A variant's strategy may have been unregistered since it was created
+    if (!recommendationEngine.strategies.has(type)) {
+      type = "hybrid";
+    }
+
+    // Outside an experiment the bandit picks the hybrid blend settings
+    if (type === "hybrid" && !experiment) {
+      const { segment, arm } = recommendationEngine.selectHybridArm(userId);
+      params = arm.params;
+      bandit = { segment, arm: arm.key };
+    }
+
+    const diversity = parseDiversity(req.query.diversity);
+    const candidateLimit =
+      diversity > 0
+        ? parseInt(limit) * DIVERSITY_CANDIDATE_FACTOR
+        : parseInt(limit);
+
+    const context = {
+      userId,
+      limit: candidateLimit,
+      params,
+      preferences: req.user.preferences,
+    };
+    let recommendations =
+      recommendationEngine.strategies.get(type).cacheable !== false
+        ? await recommendationEngine.cached(
+            { userId, strategy: type, limit: candidateLimit, params },
+            () => recommendationEngine.recommend(type, context)
+          )
+        : await recommendationEngine.recommend(type, context);
+
+    recommendations = recommendationEngine.addPreferenceReasons(
+      recommendations,
+      req.user.preferences?.favoriteCategories
+    );
+
+    if (diversity > 0) {
+      recommendations = recommendationEngine.diversify(
+        recommendations,
+        diversity,
+        parseInt(limit)
+      );
+    }
+
+    recommendations = recommendationEngine.applyMerchandising(recommendations);
+
+    if (bandit) {
+      await recommendationEngine.recordHybridImpression(
+        userId,
+        bandit.segment,
+        bandit.arm,
+        recommendations
+      );
     }
 
     res.json({
@@ -45,6 +121,11 @@ export const getUserRecommendations = async (req, res) => {
       count: recommendations.length,
       type,
       userId: req.user._id,
+      experiment,
+      bandit,
+      diversity,
+      intraListDiversity:
+        recommendationEngine.getIntraListDiversity(recommendations),
     });
   } catch (error) {
     console.error("Get user recommendations error:", error);
@@ -58,15 +139,45 @@ export const getUserRecommendations = async (req, res) => {
 // Get trending products (fallback for non-authenticated users)
 export const getTrendingProducts = async (req, res) => {
   try {
-    const { limit = 10 } = req.query;
+    const {
+      limit = 10,
+      window = DEFAULT_TRENDING_WINDOW,
+      category = null,
+    } = req.query;
 
-    const recommendations =
-      await recommendationEngine.getFallbackRecommendations(parseInt(limit));
+    if (!Object.hasOwn(TRENDING_WINDOWS, window)) {
+      return res.status(400).json({
+        error: "Invalid window",
+        message: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(
+          ", "
+        )}`,
+      });
+    }
+
+    const userId = req.user ? req.user._id.toString() : null;
+    const recommendations = recommendationEngine.applyMerchandising(
+      await recommendationEngine.cached(
+        {
+          userId,
+          strategy: "trending",
+          limit: parseInt(limit),
+          params: { window, category },
+        },
+        () =>
+          recommendationEngine.getTrendingRecommendations(parseInt(limit), {
+            window,
+            category,
+            userId,
+          })
+      )
+    );
 
     res.json({
       recommendations,
       count: recommendations.length,
       type: "trending",
+      window,
+      category,
     });
   } catch (error) {
     console.error("Get trending products error:", error);
@@ -77,6 +188,67 @@ export const getTrendingProducts = async (req, res) => {
   }
 };
 
+// Get products shoppers typically view next after a product
+export const getNextItemRecommendations = async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    const after = parseInt(req.query.after);
+
+    if (isNaN(after)) {
+      return res.status(400).json({
+        error: "Invalid product",
+        message: "The after parameter must be a product ID",
+      });
+    }
+
+    const product = await Product.findOne({ product_id: after });
+    if (!product) {
+      return res.status(404).json({
+        error: "Product not found",
+        message: "Product with the specified ID was not found",
+      });
+    }
+
+    // Anonymous sessions send their recent views, oldest first; signed-in
+    // users default to their ongoing session
+    let recent = [];
+    if (req.query.recent) {
+      recent = String(req.query.recent)
+        .split(",")
+        .map((id) => parseInt(id))
+        .filter((id) => !isNaN(id));
+    } else if (req.user) {
+      recent = recommendationEngine.getCurrentSession(req.user.interactions);
+    }
+    const session = [...recent.filter((id) => id !== after), after];
+
+    const recommendations = recommendationEngine.applyMerchandising(
+      await recommendationEngine.getNextItemRecommendations(
+        session,
+        parseInt(limit),
+        req.user ? req.user._id.toString() : null
+      )
+    );
+
+    res.json({
+      recommendations,
+      count: recommendations.length,
+      type: "next_item",
+      basedOn: {
+        productId: after,
+        productName: product.product_name,
+        session,
+      },
+    });
+  } catch (error) {
+    console.error("Get next item recommendations error:", error);
+    res.status(500).json({
+      error: "Failed to get next item recommendations",
+      message: "An error occurred while fetching next item recommendations",
+    });
+  }
+};
+
 // Get recommendations based on user's favorite categories
 export const getCategoryBasedRecommendations = async (req, res) => {
   try {
@@ -96,32 +268,13 @@ export const getCategoryBasedRecommendations = async (req, res) => {
     const favoriteCategories = req.user.preferences.favoriteCategories;
     const priceRange = req.user.preferences.priceRange;
 
-    // Build filter for user's preferences
-    const filter = {
-      category: { $in: favoriteCategories },
-    };
-
-    if (
-      priceRange &&
-      priceRange.min !== undefined &&
-      priceRange.max !== undefined
-    ) {
-      filter.price = {
-        $gte: priceRange.min,
-        $lte: priceRange.max,
-      };
-    }
-
-    // Get products from favorite categories within price range
-    const products = await Product.find(filter)
-      .sort({ rating: -1, view_count: -1, is_featured: -1 })
-      .limit(parseInt(limit));
-
-    const recommendations = products.map((product) => ({
-      ...product.toObject(),
-      similarity_score: product.rating / 5,
-      recommendation_type: "category_based",
-    }));
+    const recommendations = recommendationEngine.applyMerchandising(
+      await recommendationEngine.recommend("category", {
+        userId: req.user._id.toString(),
+        limit: parseInt(limit),
+        preferences: req.user.preferences,
+      })
+    );
 
     res.json({
       recommendations,
@@ -142,6 +295,25 @@ export const getCategoryBasedRecommendations = async (req, res) => {
   }
 };
 
+// List the registered recommendation strategies and their parameters
+export const getStrategies = async (req, res) => {
+  try {
+    const strategies = recommendationEngine.strategies.list();
+
+    res.json({
+      strategies,
+      count: strategies.length,
+      default: "hybrid",
+    });
+  } catch (error) {
+    console.error("Get strategies error:", error);
+    res.status(500).json({
+      error: "Failed to get strategies",
+      message: "An error occurred while listing recommendation strategies",
+    });
+  }
+};
+
 // Get similar users' liked products
 export const getSimilarUsersRecommendations = async (req, res) => {
   try {
@@ -154,11 +326,12 @@ export const getSimilarUsersRecommendations = async (req, res) => {
       });
     }
 
-    const recommendations =
+    const recommendations = recommendationEngine.applyMerchandising(
       await recommendationEngine.getCollaborativeRecommendations(
         req.user._id.toString(),
         parseInt(limit)
-      );
+      )
+    );
 
     res.json({
       recommendations,
@@ -175,14 +348,23 @@ export const getSimilarUsersRecommendations = async (req, res) => {
   }
 };
 
-// Initialize or retrain recommendation engine
+// Start a full background retrain of the recommendation engine
 export const initializeRecommendationEngine = async (req, res) => {
   try {
-    await recommendationEngine.initialize();
+    const run = trainingScheduler.trigger("full_retrain", "manual");
+    if (run.status === "skipped") {
+      return res.status(409).json({
+        error: "Training already running",
+        message: run.error,
+        run,
+      });
+    }
 
-    res.json({
-      message: "Recommendation engine initialized successfully",
+    res.status(202).json({
+      message: "Recommendation engine retraining started",
       timestamp: new Date(),
+      run,
+      model: recommendationEngine.getModelInfo(),
     });
   } catch (error) {
     console.error("Initialize recommendation engine error:", error);
@@ -241,6 +423,11 @@ export const getRecommendationStats = async (req, res) => {
       topCategories,
       preferences: user.preferences,
       memberSince: user.createdAt,
+      priceSensitivity: recommendationEngine.getPriceProfile(
+        user._id.toString()
+      ),
+      model: recommendationEngine.getModelInfo(),
+      cache: recommendationEngine.cache.getStats(),
     });
   } catch (error) {
     console.error("Get recommendation stats error:", error);
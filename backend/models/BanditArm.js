@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Learned statistics of one hybrid blend arm within a user segment
+const banditArmSchema = new mongoose.Schema(
+  {
+    segment: {
+      type: String,
+      required: true,
+    },
+    arm: {
+      type: String,
+      required: true,
+    },
+    // Recommendation lists served with this arm
+    pulls: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Sum of rewards credited to those lists
+    reward: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+banditArmSchema.index({ segment: 1, arm: 1 }, { unique: true });
+
+// Static method to add a pull or reward to an arm's statistics
+banditArmSchema.statics.recordOutcome = function ({
+  segment,
+  arm,
+  pulls,
+  reward,
+}) {
+  return this.updateOne(
+    { segment, arm },
+    { $inc: { pulls, reward } },
+    { upsert: true }
+  );
+};
+
+export default mongoose.model("BanditArm", banditArmSchema);
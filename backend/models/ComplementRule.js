@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// A product, by id, or every product in a subcategory
+const referenceSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: Number,
+    },
+    subcategory: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+// Admin-curated complements: products matching `source` are complemented
+// by the `targets`, ahead of complements learned from baskets
+const complementRuleSchema = new mongoose.Schema(
+  {
+    description: {
+      type: String,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    source: {
+      type: referenceSchema,
+      required: true,
+    },
+    targets: {
+      type: [referenceSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get the rules the engine serves
+complementRuleSchema.statics.getActiveRules = function () {
+  return this.find({ active: true }).lean();
+};
+
+export default mongoose.model("ComplementRule", complementRuleSchema);
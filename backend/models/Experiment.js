@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import { EXPERIMENT_STATUSES } from "../utils/experiments.js";
+
+const variantSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Relative share of experiment traffic
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    strategy: {
+      type: String,
+      required: true,
+    },
+    // Strategy option overrides, e.g. { contentWeight: 0.5 } for hybrid
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { _id: false }
+);
+
+const experimentSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: EXPERIMENT_STATUSES,
+      default: "draft",
+      index: true,
+    },
+    // Fraction of all users enrolled in the experiment
+    trafficAllocation: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 1,
+    },
+    variants: {
+      type: [variantSchema],
+      validate: {
+        validator: (variants) => variants.length > 0,
+        message: "An experiment needs at least one variant",
+      },
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get the experiment currently applied to recommendations
+experimentSchema.statics.getActiveExperiment = function () {
+  return this.findOne({ status: "running" }).sort({ startDate: -1 });
+};
+
+export default mongoose.model("Experiment", experimentSchema);
@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+
+// Which products a rule applies to; empty conditions match every product
+const conditionsSchema = new mongoose.Schema(
+  {
+    categories: [{ type: String }],
+    manufacturers: [{ type: String }],
+    isOnSale: {
+      type: Boolean,
+    },
+    // Inclusive bounds on quantity_in_stock
+    minStock: {
+      type: Number,
+      min: 0,
+    },
+    maxStock: {
+      type: Number,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["boost", "bury", "pin", "exclude"],
+      required: true,
+    },
+    // Score multiplier for boost
+    factor: {
+      type: Number,
+      min: 0,
+    },
+    // 1-based list position for pin
+    position: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const merchandisingRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    // Higher priority rules win when several pin the same position
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    conditions: {
+      type: conditionsSchema,
+      default: () => ({}),
+    },
+    action: {
+      type: actionSchema,
+      required: true,
+    },
+    startDate: {
+      type: Date,
+    },
+    endDate: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Static method to get rules that may apply to recommendation lists
+merchandisingRuleSchema.statics.getActiveRules = function () {
+  return this.find({ active: true }).sort({ priority: -1 }).lean();
+};
+
+export default mongoose.model("MerchandisingRule", merchandisingRuleSchema);
@@ -1,5 +1,26 @@
+import { EventEmitter } from "events";
 import mongoose from "mongoose";
 
+// Emits "change" with a product_id whenever a product is created, deleted or
+// has catalog fields updated, so the recommendation engine can refresh it.
+// Counter updates such as view counts are not catalog changes.
+export const productEvents = new EventEmitter();
+
+// Fields the recommendation engine derives features or availability from
+const CATALOG_FIELDS = [
+  "product_name",
+  "description",
+  "category",
+  "subcategory",
+  "manufacturer",
+  "price",
+  "sale_price",
+  "is_on_sale",
+  "is_featured",
+  "rating",
+  "quantity_in_stock",
+];
+
 const productSchema = new mongoose.Schema(
   {
     product_id: {
@@ -115,6 +136,33 @@ productSchema.index({ category: 1, price: 1 });
 productSchema.index({ rating: -1, is_featured: -1 });
 productSchema.index({ is_on_sale: 1, price: 1 });
 
+productSchema.pre("save", function () {
+  this.$locals.catalogChanged =
+    this.isNew || CATALOG_FIELDS.some((field) => this.isModified(field));
+});
+
+productSchema.post("save", function (product) {
+  if (product.$locals.catalogChanged) {
+    productEvents.emit("change", product.product_id);
+  }
+});
+
+productSchema.post("findOneAndUpdate", function (product) {
+  if (product) productEvents.emit("change", product.product_id);
+});
+
+productSchema.post("findOneAndDelete", function (product) {
+  if (product) productEvents.emit("change", product.product_id);
+});
+
+productSchema.post(
+  "deleteOne",
+  { document: true, query: false },
+  function (product) {
+    productEvents.emit("change", product.product_id);
+  }
+);
+
 // Virtual for effective price (sale price if on sale, otherwise regular price)
 productSchema.virtual("effective_price").get(function () {
   return this.is_on_sale && this.sale_price ? this.sale_price : this.price;
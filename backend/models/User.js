@@ -23,6 +23,10 @@ const userSchema = new mongoose.Schema(
       required: true,
       minlength: 6,
     },
+    isAdmin: {
+      type: Boolean,
+      default: false,
+    },
     preferences: {
       favoriteCategories: [
         {
@@ -40,11 +44,12 @@ const userSchema = new mongoose.Schema(
         productId: { type: Number, required: true },
         type: {
           type: String,
-          enum: ["view", "like", "purchase", "cart_add"],
+          enum: ["view", "like", "purchase", "cart_add", "dislike", "hide"],
           required: true,
         },
         timestamp: { type: Date, default: Date.now },
         rating: { type: Number, min: 1, max: 5 }, // Optional rating for purchases
+        price: { type: Number, min: 0 }, // Effective price paid, for purchases and cart adds
       },
     ],
   },
@@ -79,11 +84,17 @@ userSchema.methods.getProductInteractions = function (productId) {
 };
 
 // Add interaction method
-userSchema.methods.addInteraction = function (productId, type, rating = null) {
+userSchema.methods.addInteraction = function (
+  productId,
+  type,
+  rating = null,
+  price = null
+) {
   this.interactions.push({
     productId,
     type,
     rating,
+    ...(price !== null && { price }),
     timestamp: new Date(),
   });
   return this.save();
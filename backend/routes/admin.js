@@ -0,0 +1,53 @@
+import express from "express";
+import {
+  getExperiments,
+  createExperiment,
+  updateExperiment,
+  getExperimentResults,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getComplementRules,
+  createComplementRule,
+  updateComplementRule,
+  deleteComplementRule,
+  getBanditStats,
+  getJobs,
+  getJobHistory,
+  runJob,
+} from "../controllers/adminController.js";
+import { authenticateToken, requireAdmin } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin user
+router.use(authenticateToken, requireAdmin);
+
+// Recommendation experiments
+router.get("/experiments", getExperiments);
+router.post("/experiments", createExperiment);
+router.put("/experiments/:id", updateExperiment);
+router.get("/experiments/:id/results", getExperimentResults);
+
+// Merchandising rules
+router.get("/rules", getRules);
+router.post("/rules", createRule);
+router.put("/rules/:id", updateRule);
+router.delete("/rules/:id", deleteRule);
+
+// Complementary product rules
+router.get("/complements", getComplementRules);
+router.post("/complements", createComplementRule);
+router.put("/complements/:id", updateComplementRule);
+router.delete("/complements/:id", deleteComplementRule);
+
+// Hybrid blending bandit
+router.get("/bandit", getBanditStats);
+
+// Background training jobs
+router.get("/jobs", getJobs);
+router.get("/jobs/history", getJobHistory);
+router.post("/jobs/:name/run", runJob);
+
+export default router;
@@ -6,7 +6,10 @@ import {
   getSaleProducts,
   getCategories,
   trackInteraction,
+  undoInteraction,
   getProductRecommendations,
+  getBoughtTogether,
+  getComplements,
   searchProducts,
 } from "../controllers/productController.js";
 import { authenticateToken, optionalAuth } from "../middleware/auth.js";
@@ -18,15 +21,18 @@ router.get("/", optionalAuth, getProducts);
 router.get("/featured", getFeaturedProducts);
 router.get("/sale", getSaleProducts);
 router.get("/categories", getCategories);
-router.get("/search", searchProducts);
+router.get("/search", optionalAuth, searchProducts);
 router.get("/:id", optionalAuth, getProductById);
 router.get(
   "/:productId/recommendations",
   optionalAuth,
   getProductRecommendations
 );
+router.get("/:productId/bought-together", optionalAuth, getBoughtTogether);
+router.get("/:productId/complements", optionalAuth, getComplements);
 
 // Protected routes
 router.post("/:productId/interact", authenticateToken, trackInteraction);
+router.delete("/:productId/interact", authenticateToken, undoInteraction);
 
 export default router;
@@ -3,7 +3,9 @@ import {
   getUserRecommendations,
   getTrendingProducts,
   getCategoryBasedRecommendations,
+  getNextItemRecommendations,
   getSimilarUsersRecommendations,
+  getStrategies,
   initializeRecommendationEngine,
   getRecommendationStats,
 } from "../controllers/recommendationController.js";
@@ -12,7 +14,9 @@ import { authenticateToken, optionalAuth } from "../middleware/auth.js";
 const router = express.Router();
 
 // Public routes
-router.get("/trending", getTrendingProducts);
+router.get("/trending", optionalAuth, getTrendingProducts);
+router.get("/next", optionalAuth, getNextItemRecommendations);
+router.get("/strategies", getStrategies);
 
 // Protected routes
 router.get("/personal", authenticateToken, getUserRecommendations);
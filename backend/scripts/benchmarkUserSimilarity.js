@@ -0,0 +1,188 @@
+// Latency benchmark for similar-user lookups on synthetic data.
+//
+// Generates users whose interactions follow a skewed product popularity,
+// then times `findSimilar` on the inverted index against scoring every user
+// as the collaborative path used to.
+//
+// Usage: node scripts/benchmarkUserSimilarity.js [--users 10000,100000]
+//          [--products 5000] [--interactions 20] [--queries 100]
+//          [--output results.json]
+
+import fs from "fs";
+import { performance } from "perf_hooks";
+import UserSimilarityIndex from "../utils/userNeighbors.js";
+import { createRandom } from "../utils/matrixFactorization.js";
+
+const parseArgs = (argv) => {
+  const args = {
+    users: [10000, 100000],
+    products: 5000,
+    interactions: 20,
+    queries: 100,
+    output: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case "--users":
+        args.users = value.split(",").map((count) => parseInt(count));
+        i++;
+        break;
+      case "--products":
+        args.products = parseInt(value);
+        i++;
+        break;
+      case "--interactions":
+        args.interactions = parseInt(value);
+        i++;
+        break;
+      case "--queries":
+        args.queries = parseInt(value);
+        i++;
+        break;
+      case "--output":
+        args.output = value;
+        i++;
+        break;
+    }
+  }
+
+  return args;
+};
+
+// Users with 1 to 2x `interactions` products each; low product ids are
+// much more popular than high ones
+const generateUsers = (userCount, productCount, interactions, random) => {
+  const userItemMatrix = new Map();
+  for (let u = 0; u < userCount; u++) {
+    const row = new Map();
+    const size = 1 + Math.floor(random() * 2 * interactions);
+    for (let i = 0; i < size; i++) {
+      const productId = Math.floor(productCount * Math.pow(random(), 2)) + 1;
+      row.set(productId, (row.get(productId) || 0) + 1 + random() * 4);
+    }
+    userItemMatrix.set(`user${u}`, row);
+  }
+  return userItemMatrix;
+};
+
+// The full scan the inverted index replaces
+const scanSimilar = (index, userItemMatrix, userId, limit) => {
+  const interactions = userItemMatrix.get(userId);
+  const similar = [];
+  for (const [otherId, otherInteractions] of userItemMatrix) {
+    if (otherId === userId) continue;
+    const similarity = index.similarity(interactions, otherInteractions);
+    if (similarity > index.minSimilarity) {
+      similar.push({ userId: otherId, similarity });
+    }
+  }
+  return similar.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+};
+
+const time = (fn) => {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+};
+
+const summarize = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const at = (q) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+  return {
+    meanMs: sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length,
+    p50Ms: at(0.5),
+    p95Ms: at(0.95),
+  };
+};
+
+const benchmark = (userCount, args) => {
+  const random = createRandom(userCount);
+  const userItemMatrix = generateUsers(
+    userCount,
+    args.products,
+    args.interactions,
+    random
+  );
+  const { result: index, ms: buildMs } = time(() =>
+    new UserSimilarityIndex().build(userItemMatrix)
+  );
+
+  const queryIds = Array.from(
+    { length: args.queries },
+    () => `user${Math.floor(random() * userCount)}`
+  );
+  const indexed = [];
+  const scanned = [];
+  let matching = 0;
+
+  for (const userId of queryIds) {
+    const lookup = time(() =>
+      index.findSimilar(userId, userItemMatrix.get(userId), 10)
+    );
+    const scan = time(() => scanSimilar(index, userItemMatrix, userId, 10));
+    indexed.push(lookup.ms);
+    scanned.push(scan.ms);
+
+    const same =
+      lookup.result.length === scan.result.length &&
+      lookup.result.every(
+        ({ similarity }, i) =>
+          Math.abs(similarity - scan.result[i].similarity) < 1e-9
+      );
+    if (same) matching++;
+  }
+
+  return {
+    users: userCount,
+    buildMs,
+    index: summarize(indexed),
+    scan: summarize(scanned),
+    matchingResults: matching / queryIds.length,
+  };
+};
+
+const main = () => {
+  const args = parseArgs(process.argv.slice(2));
+  const results = args.users.map((userCount) => benchmark(userCount, args));
+
+  console.log(
+    `\n${args.products} products, ~${args.interactions} interactions per user, ${args.queries} queries\n`
+  );
+  console.log(
+    [
+      "users".padStart(8),
+      "build ms".padStart(10),
+      "index mean".padStart(11),
+      "index p95".padStart(10),
+      "scan mean".padStart(10),
+      "scan p95".padStart(10),
+      "same top-10".padStart(12),
+    ].join(" ")
+  );
+  for (const { users, buildMs, index, scan, matchingResults } of results) {
+    console.log(
+      [
+        String(users).padStart(8),
+        buildMs.toFixed(0).padStart(10),
+        index.meanMs.toFixed(2).padStart(11),
+        index.p95Ms.toFixed(2).padStart(10),
+        scan.meanMs.toFixed(2).padStart(10),
+        scan.p95Ms.toFixed(2).padStart(10),
+        `${(matchingResults * 100).toFixed(0)}%`.padStart(12),
+      ].join(" ")
+    );
+  }
+
+  if (args.output) {
+    fs.writeFileSync(
+      args.output,
+      JSON.stringify({ options: args, results }, null, 2)
+    );
+    console.log(`\nResults written to ${args.output}`);
+  }
+};
+
+main();
@@ -0,0 +1,220 @@
+// Offline evaluation of recommendation strategies.
+//
+// Splits stored User.interactions by time, trains the engine on the older
+// part and measures how well each strategy predicts the newer part.
+// Strategies are any registered with the engine, including plugins from
+// STRATEGY_PLUGINS_DIR.
+//
+// Usage: node scripts/evaluate.js [--k 10] [--test-ratio 0.2]
+//          [--strategies content,collaborative,hybrid,fallback]
+//          [--output results.json]
+
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import fs from "fs";
+import Product from "../models/Product.js";
+import User from "../models/User.js";
+import { RecommendationEngine } from "../utils/recommender.js";
+import {
+  precisionAtK,
+  recallAtK,
+  averagePrecisionAtK,
+  ndcgAtK,
+  catalogCoverage,
+  novelty,
+  timeBasedSplit,
+} from "../utils/evaluation.js";
+
+dotenv.config();
+
+const MONGODB_URI =
+  process.env.MONGODB_URI ||
+  "mongodb://localhost:27017/ai-recommendation-system";
+
+// Interaction types that show a recommendation was wanted
+const RELEVANT_TYPES = new Set(["view", "like", "cart_add", "purchase"]);
+
+// Engine that only sees training-period interactions
+class EvaluationEngine extends RecommendationEngine {
+  constructor(trainInteractions, cutoff) {
+    super({ now: () => cutoff });
+    this.trainInteractions = trainInteractions;
+  }
+
+  async getUserInteractions(userId) {
+    return this.trainInteractions.get(userId) || [];
+  }
+}
+
+const parseArgs = (argv) => {
+  const args = {
+    k: 10,
+    testRatio: 0.2,
+    strategies: ["content", "collaborative", "hybrid", "fallback"],
+    output: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case "--k":
+        args.k = parseInt(value);
+        i++;
+        break;
+      case "--test-ratio":
+        args.testRatio = parseFloat(value);
+        i++;
+        break;
+      case "--strategies":
+        args.strategies = value.split(",").map((name) => name.trim());
+        i++;
+        break;
+      case "--output":
+        args.output = value;
+        i++;
+        break;
+    }
+  }
+
+  return args;
+};
+
+const mean = (values) =>
+  values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+const evaluate = async ({ k, testRatio, strategies }) => {
+  const [products, users] = await Promise.all([
+    Product.find({}),
+    User.find({}).select("_id interactions"),
+  ]);
+
+  const { cutoff, train, test } = timeBasedSplit(users, testRatio);
+  if (cutoff === null) {
+    throw new Error("No interactions stored; nothing to evaluate");
+  }
+
+  const trainUsers = Array.from(train.entries()).map(
+    ([userId, interactions]) => ({ _id: userId, interactions })
+  );
+
+  const engine = new EvaluationEngine(train, cutoff);
+  engine.buildProductFeatures(products);
+  engine.loadUserItemMatrix(trainUsers);
+  engine.trainModels();
+  await engine.loadStrategyPlugins();
+  await engine.trainStrategies();
+
+  const unknown = strategies.filter((name) => !engine.strategies.has(name));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown strategies: ${unknown.join(", ")}. Available: ${engine.strategies
+        .names()
+        .join(", ")}`
+    );
+  }
+
+  // Popularity of each item among training users, for novelty
+  const itemUserCounts = new Map();
+  for (const interactions of train.values()) {
+    for (const productId of new Set(interactions.map((i) => i.productId))) {
+      itemUserCounts.set(productId, (itemUserCounts.get(productId) || 0) + 1);
+    }
+  }
+
+  // Only users seen in training with new products in the test period
+  const evaluationUsers = [];
+  for (const [userId, interactions] of test) {
+    const seen = new Set(
+      (train.get(userId) || []).map((interaction) => interaction.productId)
+    );
+    if (seen.size === 0) continue;
+
+    // Dislikes and hides in the test period are not hits
+    const relevant = new Set(
+      interactions
+        .filter((interaction) => RELEVANT_TYPES.has(interaction.type))
+        .map((interaction) => interaction.productId)
+        .filter((productId) => !seen.has(productId))
+    );
+    if (relevant.size > 0) evaluationUsers.push({ userId, relevant });
+  }
+
+  const results = [];
+  for (const name of strategies) {
+    const scores = { precision: [], recall: [], ap: [], ndcg: [] };
+    const lists = [];
+
+    for (const { userId, relevant } of evaluationUsers) {
+      const recommendations = await engine.recommend(name, {
+        userId,
+        limit: k,
+      });
+      const ids = recommendations.map((rec) => rec.product_id);
+      lists.push(ids);
+
+      scores.precision.push(precisionAtK(ids, relevant, k));
+      scores.recall.push(recallAtK(ids, relevant, k));
+      scores.ap.push(averagePrecisionAtK(ids, relevant, k));
+      scores.ndcg.push(ndcgAtK(ids, relevant, k));
+    }
+
+    results.push({
+      strategy: name,
+      [`precision@${k}`]: mean(scores.precision),
+      [`recall@${k}`]: mean(scores.recall),
+      MAP: mean(scores.ap),
+      [`NDCG@${k}`]: mean(scores.ndcg),
+      coverage: catalogCoverage(lists, products.length),
+      novelty: novelty(lists, itemUserCounts, train.size),
+    });
+  }
+
+  return {
+    k,
+    testRatio,
+    cutoff: new Date(cutoff).toISOString(),
+    trainUsers: train.size,
+    evaluatedUsers: evaluationUsers.length,
+    catalogSize: products.length,
+    results,
+  };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  await mongoose.connect(MONGODB_URI);
+
+  try {
+    const report = await evaluate(args);
+
+    console.log(
+      `\nEvaluated ${report.evaluatedUsers} users (cutoff ${report.cutoff}, k=${report.k})`
+    );
+    console.table(
+      report.results.map((row) =>
+        Object.fromEntries(
+          Object.entries(row).map(([key, value]) => [
+            key,
+            typeof value === "number" ? Number(value.toFixed(4)) : value,
+          ])
+        )
+      )
+    );
+
+    const json = JSON.stringify(report, null, 2);
+    if (args.output) {
+      fs.writeFileSync(args.output, json);
+      console.log(`Results written to ${args.output}`);
+    } else {
+      console.log(json);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error("❌ Evaluation failed:", error.message);
+  process.exit(1);
+});
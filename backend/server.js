@@ -12,13 +12,18 @@ import { fileURLToPath } from "url";
 import authRoutes from "./routes/auth.js";
 import productRoutes from "./routes/products.js";
 import recommendationRoutes from "./routes/recommendations.js";
+import adminRoutes from "./routes/admin.js";
 
 // Import models and utilities
-import Product from "./models/Product.js";
+import Product, { productEvents } from "./models/Product.js";
 import recommendationEngine from "./utils/recommender.js";
+import trainingScheduler, {
+  registerTrainingJobs,
+} from "./utils/trainingJobs.js";
 
 // Load environment variables
 dotenv.config();
+registerTrainingJobs();
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,6 +81,7 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/products", productRoutes);
 app.use("/api/recommendations", recommendationRoutes);
+app.use("/api/admin", adminRoutes);
 
 // 404 handler for API routes
 app.use("/api/*", (req, res) => {
@@ -107,8 +113,24 @@ const connectDB = async () => {
     // Load products data if collection is empty
     await loadProductsData();
 
-    // Initialize recommendation engine
-    await recommendationEngine.initialize();
+    // Keep product features, the ANN index and the cache in step with
+    // product writes
+    recommendationEngine.watchCatalog(productEvents);
+
+    // Register strategy plugins before any model is trained or loaded, so
+    // their train hooks run
+    await recommendationEngine.loadStrategyPlugins();
+
+    // Warm-start the recommendation engine from its latest snapshot,
+    // training from scratch in the background when none is usable
+    const warmStarted = await recommendationEngine.loadSnapshot();
+    if (!warmStarted) {
+      trainingScheduler.trigger("full_retrain", "startup");
+    }
+    await recommendationEngine.loadMerchandisingRules();
+    await recommendationEngine.loadComplementRules();
+    await recommendationEngine.loadBanditStats();
+    trainingScheduler.start();
   } catch (error) {
     console.error("❌ MongoDB connection error:", error);
     process.exit(1);
@@ -0,0 +1,25 @@
+// Shared test data builders
+
+// An in-stock catalog product; `fields` override the defaults
+export const makeProduct = (fields) => ({
+  product_name: `Product ${fields.product_id}`,
+  description: fields.product_name ?? `Product ${fields.product_id}`,
+  category: "General",
+  subcategory: "General",
+  manufacturer: "Acme",
+  price: 20,
+  sale_price: null,
+  is_on_sale: fields.sale_price != null,
+  rating: 4,
+  quantity_in_stock: 10,
+  ...fields,
+});
+
+// User-item matrix from { userId: { productId: weight } }
+export const buildMatrix = (rows) =>
+  new Map(
+    Object.entries(rows).map(([userId, items]) => [
+      userId,
+      new Map(Object.entries(items).map(([id, w]) => [parseInt(id), w])),
+    ])
+  );
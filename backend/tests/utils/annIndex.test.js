@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import Product from "../../models/Product.js";
+import LshIndex, { hashedUnitVector } from "../../utils/annIndex.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import { makeProduct } from "../helpers/fixtures.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const product = (product_id, product_name, category, subcategory) =>
+  makeProduct({ product_id, product_name, category, subcategory });
+
+const products = [
+  product(1, "Trail Running Shoes", "Sports", "Footwear"),
+  product(2, "Road Running Shoes", "Sports", "Footwear"),
+  product(3, "Running Socks", "Sports", "Apparel"),
+  product(4, "Espresso Machine", "Kitchen", "Coffee"),
+  product(5, "Coffee Grinder", "Kitchen", "Coffee"),
+  product(6, "Milk Frother", "Kitchen", "Coffee"),
+];
+
+describe("Approximate nearest-neighbor index", () => {
+  it("finds the most similar vectors by cosine", () => {
+    const index = new LshIndex({ tables: 8 }).build(
+      new Map([
+        ["a", [1, 0, 0]],
+        ["b", [0.9, 0.1, 0]],
+        ["c", [0, 1, 0]],
+        ["d", [0, 0, 1]],
+      ])
+    );
+
+    const results = index.query([1, 0.05, 0], 2);
+    expect(results.map((r) => r.id)).toEqual(["a", "b"]);
+    expect(results[0].score).toBeCloseTo(0.9988, 3);
+    expect(index.query([1, 0, 0], 1, { exclude: new Set(["a"]) })[0].id).toBe(
+      "b"
+    );
+  });
+
+  it("adds, moves and removes vectors", () => {
+    const index = new LshIndex().build(
+      new Map([
+        ["a", [1, 0]],
+        ["b", [0, 1]],
+      ])
+    );
+
+    index.add("c", [1, 0.01]);
+    expect(index.query([1, 0], 1, { exclude: new Set(["a"]) })[0].id).toBe("c");
+
+    index.add("c", [0, -1]);
+    index.remove("a");
+    expect(index.size).toBe(2);
+    expect(index.query([1, 0], 3).map((r) => r.id)).not.toContain("a");
+    expect(() => index.add("d", [1, 0, 0])).toThrow();
+  });
+
+  it("embeds categorical values deterministically", () => {
+    const vector = hashedUnitVector("category:Sports", 16);
+
+    expect(vector).toEqual(hashedUnitVector("category:Sports", 16));
+    expect(Math.hypot(...vector)).toBeCloseTo(1);
+    expect(vector).not.toEqual(hashedUnitVector("category:Kitchen", 16));
+  });
+});
+
+describe("Content-based candidates", () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    engine = new RecommendationEngine();
+    engine.buildProductFeatures(products);
+  });
+
+  it("ranks index candidates from the same category first", () => {
+    const candidates = engine.findSimilarCandidates(1, 2);
+
+    expect(candidates).not.toContain(1);
+    expect(candidates.slice(0, 2).sort()).toEqual([2, 3]);
+    expect(engine.findSimilarCandidates(1, 2, new Set([2]))).not.toContain(2);
+  });
+
+  it("only loads candidate products for exact scoring", async () => {
+    Product.findOne.mockResolvedValue({ ...products[0] });
+    Product.find.mockResolvedValue(
+      products.slice(1).map((p) => ({ ...p, toObject: () => p }))
+    );
+
+    const recs = await engine.getContentBasedRecommendations(null, 1, 2);
+
+    const filter = Product.find.mock.calls[0][0];
+    expect(filter.product_id.$in).not.toContain(1);
+    expect(recs.map((r) => r.product_id)).toEqual([2, 3]);
+  });
+
+  it("keeps the index in sync as products change", async () => {
+    await engine.upsertProduct(
+      product(7, "Trail Running Shoes", "Sports", "Footwear")
+    );
+    expect(engine.findSimilarCandidates(1, 1)[0]).toBe(7);
+
+    await engine.removeProduct(7);
+    expect(engine.findSimilarCandidates(1, 5)).not.toContain(7);
+    expect(engine.productFeatures.has(7)).toBe(false);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from "vitest";
+import AssociationRuleMiner from "../../utils/associationRules.js";
+
+const T0 = new Date("2024-06-01T10:00:00Z").getTime();
+const HOUR = 60 * 60 * 1000;
+const basket = (productIds, startHours = 0, type = "purchase") =>
+  productIds.map((productId, i) => ({
+    productId,
+    type,
+    timestamp: new Date(T0 + (startHours + i * 0.1) * HOUR),
+  }));
+
+describe("AssociationRuleMiner", () => {
+  // Four baskets: {1,2,3}, {1,2,3}, {1,2}, {4}
+  const users = [
+    { interactions: [...basket([1, 2, 3]), ...basket([4], 48)] },
+    { interactions: basket([1, 2, 3], 0, "cart_add") },
+    {
+      interactions: [
+        ...basket([1, 2]),
+        { productId: 3, type: "view", timestamp: new Date(T0) },
+      ],
+    },
+  ];
+
+  it("groups purchases and cart adds into time-windowed baskets", () => {
+    const miner = new AssociationRuleMiner();
+
+    expect(miner.buildBaskets(users[0].interactions)).toEqual([[1, 2, 3], [4]]);
+    expect(miner.buildBaskets(users[2].interactions)).toEqual([[1, 2]]);
+  });
+
+  it("computes support, confidence and lift for pairs and triples", () => {
+    const miner = new AssociationRuleMiner().build(users);
+
+    expect(miner.basketCount).toBe(4);
+    expect(miner.support([1, 2])).toBeCloseTo(0.75);
+    expect(miner.support([1, 2, 3])).toBeCloseTo(0.5);
+
+    const rule = miner
+      .getRules(3)
+      .find((r) => r.antecedent.length === 1 && r.consequent === 1);
+    expect(rule.confidence).toBeCloseTo(1);
+    expect(rule.lift).toBeCloseTo(1 / 0.75);
+
+    const tripleRule = miner
+      .getRules(1)
+      .find((r) => r.antecedent.length === 2 && r.consequent === 3);
+    expect(tripleRule.antecedent).toEqual([1, 2]);
+    expect(tripleRule.confidence).toBeCloseTo(0.5 / 0.75);
+  });
+
+  it("drops infrequent itemsets and returns bundles", () => {
+    const miner = new AssociationRuleMiner().build(users);
+
+    expect(miner.getRules(4)).toEqual([]);
+    expect(miner.getBundles(2)).toEqual([
+      { productIds: [1, 2, 3], support: 0.5 },
+    ]);
+  });
+
+  it("only combines products that are still frequent", () => {
+    const miner = new AssociationRuleMiner();
+    // One bulk order of products nobody else bought
+    const bulk = Array.from({ length: 200 }, (_, i) => 100 + i);
+    const baskets = [
+      [1, 2, 3],
+      [1, 2, 3],
+      [1, 2, 3, ...bulk],
+    ];
+
+    const itemsets = miner.findFrequentItemsets(baskets);
+
+    expect(Array.from(itemsets.keys())).toEqual([
+      "1",
+      "2",
+      "3",
+      "1,2",
+      "1,3",
+      "2,3",
+      "1,2,3",
+    ]);
+    expect(itemsets.get("1,2,3").count).toBe(3);
+  });
+
+  it("restores the same rules from a snapshot", () => {
+    const miner = new AssociationRuleMiner().build(users);
+    const restored = AssociationRuleMiner.fromJSON(
+      JSON.parse(JSON.stringify(miner.toJSON()))
+    );
+
+    expect(restored.getRules(1)).toEqual(miner.getRules(1));
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const rec = (product_id, quantity_in_stock, similarity_score) => ({
+  product_id,
+  quantity_in_stock,
+  similarity_score,
+});
+
+describe("Inventory-aware recommendations", () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new RecommendationEngine({ lowStockThreshold: 3 });
+    engine.updateStockLevels([rec(1, 10), rec(2, 3), rec(3, 0)]);
+  });
+
+  it("classifies stock against the low-stock threshold", () => {
+    expect(engine.getAvailability(1)).toBe("in_stock");
+    expect(engine.getAvailability(2)).toBe("low_stock");
+    expect(engine.getAvailability(3)).toBe("out_of_stock");
+    expect(engine.getAvailability(99)).toBe("in_stock");
+  });
+
+  it("excludes out-of-stock products from candidate scoring", () => {
+    engine.hiddenProducts.set("user1", new Set([1]));
+
+    expect(engine.getExcludedProducts("user1")).toEqual(new Set([1, 3]));
+    expect(engine.getExcludedProducts(null)).toEqual(new Set([3]));
+  });
+
+  it("leaves bundles with a sold-out product out", () => {
+    engine.associationRules.itemsets = new Map(
+      [
+        [1, 2, 4],
+        [1, 3, 4],
+      ].map((items) => [items.join(","), { items, count: 2 }])
+    );
+    engine.associationRules.basketCount = 4;
+
+    expect(engine.getBundles(1)).toEqual([
+      { productIds: [1, 2, 4], support: 0.5 },
+    ]);
+  });
+
+  it("drops sold-out products and down-ranks low stock", () => {
+    const result = engine.applyAvailability([
+      rec(2, 3, 0.9),
+      rec(1, 10, 0.6),
+      rec(4, 0, 0.8),
+    ]);
+
+    expect(result.map((r) => [r.product_id, r.availability])).toEqual([
+      [1, "in_stock"],
+      [2, "low_stock"],
+    ]);
+  });
+
+  it("re-filters with fresh stock levels when stock changes", () => {
+    expect(engine.applyAvailability([rec(3, 4, 0.5)])).toEqual([
+      { ...rec(3, 4, 0.5), availability: "in_stock" },
+    ]);
+    expect(engine.getExcludedProducts(null).has(3)).toBe(false);
+
+    expect(engine.applyAvailability([rec(1, 0, 0.5)])).toEqual([]);
+    expect(engine.getExcludedProducts(null).has(1)).toBe(true);
+  });
+});
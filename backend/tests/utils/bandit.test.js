@@ -0,0 +1,98 @@
+import { describe, it, expect } from "vitest";
+import ThompsonBandit, {
+  HYBRID_ARMS,
+  sampleBeta,
+  userSegment,
+} from "../../utils/bandit.js";
+
+const NOW = new Date("2024-06-01T00:00:00Z").getTime();
+const HOUR_MS = 60 * 60 * 1000;
+
+// Deterministic uniform samples in [0, 1)
+const seededRandom = (seed = 42) => {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+};
+
+describe("Hybrid blending bandit", () => {
+  it("segments users by activity", () => {
+    expect(userSegment(0)).toBe("new");
+    expect(userSegment(5)).toBe("casual");
+    expect(userSegment(20)).toBe("engaged");
+  });
+
+  it("samples Beta distributions around their mean", () => {
+    const random = seededRandom();
+    const samples = Array.from({ length: 2000 }, () =>
+      sampleBeta(8, 2, random)
+    );
+    const mean = samples.reduce((sum, x) => sum + x, 0) / samples.length;
+
+    expect(samples.every((x) => x > 0 && x < 1)).toBe(true);
+    expect(mean).toBeCloseTo(0.8, 1);
+  });
+
+  it("credits only the best outcome of a served list within the window", () => {
+    const bandit = new ThompsonBandit(HYBRID_ARMS);
+    bandit.recordImpression("u1", "new", "balanced", [1, 2, 3], NOW);
+
+    expect(bandit.recordReward("u1", 9, "purchase", NOW)).toBeNull();
+    expect(bandit.recordReward("u1", 2, "view", NOW)).toMatchObject({
+      arm: "balanced",
+      reward: 0.25,
+    });
+    expect(bandit.recordReward("u1", 3, "view", NOW)).toBeNull();
+    expect(bandit.recordReward("u1", 3, "purchase", NOW).reward).toBe(0.75);
+    expect(bandit.getStats("new", "balanced")).toEqual({
+      pulls: 1,
+      reward: 1,
+    });
+
+    bandit.recordImpression("u1", "new", "wide_pool", [4], NOW);
+    expect(
+      bandit.recordReward("u1", 4, "purchase", NOW + 25 * HOUR_MS)
+    ).toBeNull();
+  });
+
+  it("learns the best arm separately per segment", () => {
+    const bandit = new ThompsonBandit(HYBRID_ARMS, { random: seededRandom() });
+    const bestArm = { new: "content_heavy", engaged: "collaborative_heavy" };
+
+    for (let i = 0; i < 300; i++) {
+      for (const segment of Object.keys(bestArm)) {
+        const arm = bandit.select(segment);
+        const userId = `${segment}-${i}`;
+        bandit.recordImpression(userId, segment, arm.key, [1], NOW);
+        // The segment's best arm converts half the time, the others rarely
+        const rate = arm.key === bestArm[segment] ? 0.5 : 0.05;
+        if (bandit.random() < rate) {
+          bandit.recordReward(userId, 1, "purchase", NOW);
+        }
+      }
+    }
+
+    const summary = bandit.summary();
+    for (const [segment, arm] of Object.entries(bestArm)) {
+      const { arms } = summary.find((s) => s.segment === segment);
+      expect(arms[0].arm).toBe(arm);
+      expect(arms[0].pulls).toBeGreaterThan(150);
+    }
+  });
+
+  it("restores persisted statistics", () => {
+    const bandit = new ThompsonBandit(HYBRID_ARMS);
+    bandit.load([
+      { segment: "casual", arm: "wide_pool", pulls: 10, reward: 4 },
+    ]);
+
+    const { arms } = bandit.summary().find((s) => s.segment === "casual");
+    expect(arms.find((a) => a.arm === "wide_pool")).toMatchObject({
+      alpha: 5,
+      beta: 7,
+      expectedReward: 5 / 12,
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { EventEmitter } from "events";
+import Product, { productEvents } from "../../models/Product.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+// The real model, with writes stubbed at the collection so its middleware
+// runs without a database
+const newProduct = (product_id, quantity_in_stock = 10) =>
+  new Product({
+    product_id,
+    product_name: `Trail Shoe ${product_id}`,
+    description: "Lightweight trail running shoe",
+    category: "Sports",
+    subcategory: "Footwear",
+    manufacturer: "Acme",
+    price: 80,
+    rating: 4,
+    quantity_in_stock,
+    image_url: "https://example.com/shoe.jpg",
+    release_date: new Date("2024-01-01"),
+    dimensions: "30x20x10",
+    weight: 1,
+  });
+
+describe("Catalog sync", () => {
+  let changes;
+  const listener = (productId) => changes.push(productId);
+
+  beforeEach(() => {
+    changes = [];
+    productEvents.on("change", listener);
+    vi.spyOn(Product.collection, "insertOne").mockResolvedValue({
+      acknowledged: true,
+    });
+    vi.spyOn(Product.collection, "updateOne").mockResolvedValue({
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: 1,
+    });
+    vi.spyOn(Product.collection, "deleteOne").mockResolvedValue({
+      acknowledged: true,
+      deletedCount: 1,
+    });
+  });
+
+  afterEach(() => {
+    productEvents.off("change", listener);
+    vi.restoreAllMocks();
+  });
+
+  it("announces catalog writes but not counter updates", async () => {
+    const product = newProduct(7);
+
+    await product.save();
+    await product.incrementViewCount();
+    product.quantity_in_stock = 0;
+    await product.save();
+    await product.deleteOne();
+
+    expect(changes).toEqual([7, 7, 7]);
+  });
+
+  it("refreshes the engine and its cache on product writes", async () => {
+    const engine = new RecommendationEngine({ cacheTtlSeconds: 60 });
+    const events = new EventEmitter();
+    engine.watchCatalog(events);
+    const compute = vi.fn().mockResolvedValue([]);
+    const key = { userId: null, strategy: "trending", limit: 10 };
+    const findOne = vi.spyOn(Product, "findOne");
+
+    await engine.cached(key, compute);
+    findOne.mockResolvedValue(newProduct(7, 0));
+    events.emit("change", 7);
+    await vi.waitFor(() => expect(engine.productFeatures.has(7)).toBe(true));
+    expect(engine.getAvailability(7)).toBe("out_of_stock");
+    await engine.cached(key, compute);
+    expect(compute).toHaveBeenCalledTimes(2);
+
+    findOne.mockResolvedValue(null);
+    events.emit("change", 7);
+    await vi.waitFor(() => expect(engine.productFeatures.has(7)).toBe(false));
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from "vitest";
+import Product from "../../models/Product.js";
+import ComplementModel, {
+  validateComplementRule,
+} from "../../utils/complements.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import { makeProduct } from "../helpers/fixtures.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const product = (product_id, product_name, subcategory, rating = 4) =>
+  makeProduct({
+    product_id,
+    product_name,
+    category: subcategory.startsWith("Travel") ? "Travel" : "Pets",
+    subcategory,
+    rating,
+  });
+
+const products = [
+  product(1, "Dog Collar", "Dog Accessories"),
+  product(2, "Dog Leash", "Dog Accessories"),
+  product(3, "Pet Reflective Vest", "Pet Safety Gear", 4.5),
+  product(4, "Pet Safety Light", "Pet Safety Gear", 4),
+  product(5, "Pet Safety Tag", "Pet Safety Gear", 3),
+  product(6, "Pet Water Fountain", "Pet Supplies"),
+  product(7, "Travel Pillow", "Travel Accessories"),
+  product(8, "Travel Shoe Bags Set", "Travel Accessories"),
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const basket = (day, ...productIds) =>
+  productIds.map((productId) => ({
+    productId,
+    type: "purchase",
+    timestamp: new Date(Date.UTC(2024, 0, 1) + day * DAY),
+  }));
+
+const users = [
+  { _id: "u1", interactions: [...basket(0, 1, 3), ...basket(5, 7)] },
+  { _id: "u2", interactions: basket(0, 2, 4) },
+  { _id: "u3", interactions: basket(0, 1, 2, 6) },
+  { _id: "u4", interactions: basket(0, 6) },
+];
+
+const subcategoryOf = (productId) =>
+  products.find((p) => p.product_id === productId)?.subcategory;
+
+describe("Complementary products", () => {
+  it("learns subcategory pairs bought together", () => {
+    const model = new ComplementModel().build(users, subcategoryOf);
+
+    expect(model.basketCount).toBe(5);
+    const [safety, ...rest] = model.getComplements("Dog Accessories");
+    expect(safety).toMatchObject({
+      subcategory: "Pet Safety Gear",
+      confidence: 2 / 3,
+    });
+    expect(safety.lift).toBeCloseTo(2 / 3 / (2 / 5), 10);
+    // Seen together only once
+    expect(rest).toEqual([]);
+    expect(model.getComplements("Travel Accessories")).toEqual([]);
+
+    const restored = ComplementModel.fromJSON(
+      JSON.parse(JSON.stringify(model.toJSON()))
+    );
+    expect(restored.getComplements("Pet Safety Gear")).toEqual(
+      model.getComplements("Pet Safety Gear")
+    );
+  });
+
+  it("validates complement rules", () => {
+    expect(
+      validateComplementRule({
+        source: { productId: 7 },
+        targets: [{ productId: 8 }, { subcategory: "Travel Bags" }],
+      })
+    ).toBeNull();
+    expect(validateComplementRule({ source: {}, targets: [] })).toMatch(
+      /source/
+    );
+    expect(
+      validateComplementRule({ source: { productId: 7 }, targets: [] })
+    ).toMatch(/at least one target/);
+    expect(
+      validateComplementRule({
+        source: { subcategory: "Dog Accessories" },
+        targets: [{ productId: 3, subcategory: "Pet Safety Gear" }],
+      })
+    ).toMatch(/Each rule target/);
+  });
+
+  it("serves manual targets first, then learned subcategories", async () => {
+    const engine = new RecommendationEngine();
+    engine.buildProductFeatures(products);
+    engine.loadUserItemMatrix(users);
+    engine.complementRules = [
+      {
+        source: { subcategory: "Dog Accessories" },
+        targets: [{ productId: 6 }],
+      },
+    ];
+
+    Product.findOne.mockResolvedValue(products[0]);
+    Product.find.mockImplementation(async ({ product_id }) =>
+      products
+        .filter((p) => product_id.$in.includes(p.product_id))
+        .map((p) => ({ ...p, toObject: () => p }))
+    );
+
+    const complements = await engine.getComplements(1, 10);
+
+    expect(complements.map((rec) => rec.product_id)).toEqual([6, 3, 4]);
+    expect(complements[0].complement.source).toBe("manual");
+    expect(complements[1].complement).toMatchObject({
+      source: "learned",
+      subcategory: "Pet Safety Gear",
+    });
+    expect(complements[1].reasons[0]).toMatchObject({
+      type: "complement",
+      productName: "Dog Collar",
+    });
+    expect(
+      complements.every((rec) => rec.subcategory !== "Dog Accessories")
+    ).toBe(true);
+  });
+});
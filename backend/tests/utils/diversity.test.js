@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import {
+  mmrRerank,
+  intraListDiversity,
+  parseDiversity,
+} from "../../utils/diversity.js";
+
+// Items in the same category are identical for this similarity
+const sameCategory = (a, b) => (a.category === b.category ? 1 : 0);
+
+const items = [
+  { product_id: 1, category: "Kitchen", similarity_score: 0.9 },
+  { product_id: 2, category: "Kitchen", similarity_score: 0.85 },
+  { product_id: 3, category: "Kitchen", similarity_score: 0.8 },
+  { product_id: 4, category: "Garden", similarity_score: 0.5 },
+  { product_id: 5, category: "Pets", similarity_score: 0.4 },
+];
+
+describe("diversity re-ranking", () => {
+  it("keeps relevance order when diversity is zero", () => {
+    expect(
+      mmrRerank(items, sameCategory, 0, 3).map((i) => i.product_id)
+    ).toEqual([1, 2, 3]);
+  });
+
+  it("spreads a high-diversity list across categories", () => {
+    const reranked = mmrRerank(items, sameCategory, 0.7, 3);
+
+    expect(reranked.map((i) => i.product_id)).toEqual([1, 4, 5]);
+    expect(intraListDiversity(reranked, sameCategory)).toBe(1);
+    expect(intraListDiversity(items.slice(0, 3), sameCategory)).toBe(0);
+  });
+
+  it("clamps the diversity parameter", () => {
+    expect(parseDiversity("2")).toBe(1);
+    expect(parseDiversity("-1")).toBe(0);
+    expect(parseDiversity(undefined)).toBe(0);
+    expect(parseDiversity("0.3")).toBe(0.3);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from "vitest";
+import {
+  precisionAtK,
+  recallAtK,
+  averagePrecisionAtK,
+  ndcgAtK,
+  catalogCoverage,
+  novelty,
+  timeBasedSplit,
+} from "../../utils/evaluation.js";
+
+describe("evaluation metrics", () => {
+  const recommended = [1, 2, 3, 4];
+  const relevant = new Set([2, 4, 9]);
+
+  it("computes precision and recall at k", () => {
+    expect(precisionAtK(recommended, relevant, 4)).toBe(0.5);
+    expect(recallAtK(recommended, relevant, 4)).toBeCloseTo(2 / 3);
+    expect(precisionAtK(recommended, relevant, 1)).toBe(0);
+  });
+
+  it("computes average precision and NDCG", () => {
+    // Hits at ranks 2 and 4: (1/2 + 2/4) / 3
+    expect(averagePrecisionAtK(recommended, relevant, 4)).toBeCloseTo(1 / 3);
+    expect(ndcgAtK([2, 4, 9], relevant, 3)).toBeCloseTo(1);
+    expect(ndcgAtK(recommended, relevant, 4)).toBeLessThan(1);
+  });
+
+  it("computes coverage and novelty", () => {
+    expect(
+      catalogCoverage(
+        [
+          [1, 2],
+          [2, 3],
+        ],
+        10
+      )
+    ).toBe(0.3);
+
+    const counts = new Map([
+      [1, 9],
+      [2, 0],
+    ]);
+    expect(novelty([[2]], counts, 9)).toBeGreaterThan(
+      novelty([[1]], counts, 9)
+    );
+  });
+
+  it("splits interactions by time", () => {
+    const users = [
+      {
+        _id: "a",
+        interactions: [1, 2, 3, 4, 5].map((day) => ({
+          productId: day,
+          timestamp: new Date(2024, 0, day),
+        })),
+      },
+    ];
+
+    const { train, test } = timeBasedSplit(users, 0.4);
+
+    expect(train.get("a").map((i) => i.productId)).toEqual([1, 2, 3]);
+    expect(test.get("a").map((i) => i.productId)).toEqual([4, 5]);
+  });
+});
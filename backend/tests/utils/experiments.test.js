@@ -0,0 +1,159 @@
+import { describe, it, expect, vi } from "vitest";
+import Experiment from "../../models/Experiment.js";
+import {
+  assignVariant,
+  validateExperiment,
+  aggregateExperimentResults,
+} from "../../utils/experiments.js";
+import { updateExperiment } from "../../controllers/adminController.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+vi.mock("../../models/Experiment.js");
+
+const experiment = {
+  key: "hybrid-blend",
+  trafficAllocation: 1,
+  startDate: new Date("2024-01-01"),
+  variants: [
+    { key: "control", weight: 1, strategy: "hybrid", params: {} },
+    {
+      key: "content-heavy",
+      weight: 1,
+      strategy: "hybrid",
+      params: { contentWeight: 0.8, collaborativeWeight: 0.2 },
+    },
+  ],
+};
+
+const userIds = Array.from({ length: 400 }, (_, i) => `user-${i}`);
+
+describe("experiments", () => {
+  it("assigns the same user to the same variant every time", () => {
+    for (const userId of userIds.slice(0, 20)) {
+      expect(assignVariant(experiment, userId)).toBe(
+        assignVariant(experiment, userId)
+      );
+    }
+  });
+
+  it("splits traffic roughly by variant weight", () => {
+    const control = userIds.filter(
+      (userId) => assignVariant(experiment, userId).key === "control"
+    ).length;
+
+    expect(control).toBeGreaterThan(150);
+    expect(control).toBeLessThan(250);
+  });
+
+  it("leaves users outside the traffic allocation unassigned", () => {
+    const partial = { ...experiment, trafficAllocation: 0.1 };
+    const enrolled = userIds.filter((userId) => assignVariant(partial, userId));
+
+    expect(enrolled.length).toBeGreaterThan(10);
+    expect(enrolled.length).toBeLessThan(80);
+  });
+
+  it("rejects variants with unknown strategies", () => {
+    const strategies = ["content", "hybrid"];
+
+    expect(
+      validateExperiment(
+        {
+          key: "x",
+          name: "X",
+          variants: [{ key: "a", strategy: "magic" }],
+        },
+        strategies
+      )
+    ).toMatch(/content, hybrid/);
+    expect(
+      validateExperiment({ ...experiment, name: "Blend" }, strategies)
+    ).toBeNull();
+  });
+
+  it("rejects unknown statuses", () => {
+    const blend = { ...experiment, name: "Blend" };
+
+    expect(
+      validateExperiment({ ...blend, status: "archived" }, ["hybrid"])
+    ).toMatch(/draft, running, paused, completed/);
+    expect(
+      validateExperiment({ ...blend, status: "paused" }, ["hybrid"])
+    ).toBeNull();
+  });
+
+  it("rejects out-of-range traffic allocations and weights", () => {
+    const blend = { ...experiment, name: "Blend" };
+    const [control, heavy] = experiment.variants;
+
+    expect(
+      validateExperiment({ ...blend, trafficAllocation: 1.5 }, ["hybrid"])
+    ).toMatch(/between 0 and 1/);
+    expect(
+      validateExperiment({ ...blend, trafficAllocation: "all" }, ["hybrid"])
+    ).toMatch(/between 0 and 1/);
+    expect(
+      validateExperiment(
+        { ...blend, variants: [control, { ...heavy, weight: -1 }] },
+        ["hybrid"]
+      )
+    ).toMatch(/content-heavy weight/);
+  });
+
+  it("pauses experiments whose strategy is no longer registered", async () => {
+    const stored = {
+      ...experiment,
+      name: "Blend",
+      status: "running",
+      variants: [{ key: "control", weight: 1, strategy: "retired" }],
+      save: vi.fn().mockResolvedValue(),
+    };
+    Experiment.findById.mockResolvedValue(stored);
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    await updateExperiment(
+      { params: { id: "e1" }, body: { status: "paused" } },
+      res
+    );
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(stored.status).toBe("paused");
+    expect(stored.save).toHaveBeenCalled();
+
+    await updateExperiment(
+      {
+        params: { id: "e1" },
+        body: { variants: [{ key: "control", strategy: "retired" }] },
+      },
+      res
+    );
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls.at(-1)[0].message).toMatch(/strategy/);
+  });
+
+  it("counts outcome interactions per variant after the start date", () => {
+    const users = userIds.slice(0, 50).map((userId) => ({
+      _id: userId,
+      interactions: [
+        { type: "purchase", timestamp: new Date("2024-02-01") },
+        { type: "like", timestamp: new Date("2023-12-01") },
+        { type: "view", timestamp: new Date("2024-02-01") },
+      ],
+    }));
+
+    const results = aggregateExperimentResults(
+      experiment,
+      users,
+      new Date("2024-03-01")
+    );
+
+    const totalUsers = results.reduce((sum, r) => sum + r.users, 0);
+    expect(totalUsers).toBe(50);
+    for (const result of results) {
+      expect(result.interactions.purchase).toBe(result.users);
+      expect(result.interactions.like).toBe(0);
+      expect(result.conversionRate).toBe(1);
+    }
+  });
+});
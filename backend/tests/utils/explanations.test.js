@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  becauseYouInteracted,
+  favoriteCategory,
+  mergeReasons,
+  similarShoppers,
+} from "../../utils/explanations.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const travelPillow = {
+  product_id: 1,
+  product_name: "Travel Pillow",
+  subcategory: "Travel Accessories",
+  manufacturer: "Comfy",
+};
+
+describe("recommendation explanations", () => {
+  it("builds readable messages", () => {
+    expect(becauseYouInteracted(travelPillow, "like").message).toBe(
+      "Because you liked Travel Pillow"
+    );
+    expect(similarShoppers(3).message).toBe(
+      "Popular with 3 shoppers similar to you"
+    );
+    expect(favoriteCategory("Kitchen").message).toBe(
+      "In your favorite category Kitchen"
+    );
+  });
+
+  it("merges reason lists without duplicates", () => {
+    const merged = mergeReasons(
+      [becauseYouInteracted(travelPillow, "like")],
+      [becauseYouInteracted(travelPillow, "like"), similarShoppers(2)]
+    );
+
+    expect(merged.map((r) => r.type)).toEqual([
+      "because_you_interacted",
+      "similar_users",
+    ]);
+  });
+
+  it("explains content matches from the seed product and shared features", () => {
+    const engine = new RecommendationEngine();
+    const reasons = engine.explainContentMatch(
+      travelPillow,
+      {
+        product_id: 2,
+        subcategory: "Travel Accessories",
+        manufacturer: "Other",
+      },
+      "purchase"
+    );
+
+    expect(reasons.map((r) => r.message)).toEqual([
+      "Because you bought Travel Pillow",
+      "Same subcategory as Travel Pillow",
+    ]);
+  });
+
+  it("adds favorite category reasons last", () => {
+    const engine = new RecommendationEngine();
+    const [rec] = engine.addPreferenceReasons(
+      [{ category: "Kitchen", reasons: [similarShoppers(1)] }],
+      ["Kitchen"]
+    );
+
+    expect(rec.reasons.map((r) => r.type)).toEqual([
+      "similar_users",
+      "favorite_category",
+    ]);
+  });
+});
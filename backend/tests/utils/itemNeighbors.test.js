@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import ItemNeighborIndex from "../../utils/itemNeighbors.js";
+import { buildMatrix } from "../helpers/fixtures.js";
+
+describe("ItemNeighborIndex", () => {
+  const matrix = buildMatrix({
+    a: { 1: 3, 2: 3 },
+    b: { 1: 5, 2: 5, 3: 1 },
+    c: { 3: 10, 4: 10 },
+  });
+
+  it("ranks co-interacted products as nearest neighbors", () => {
+    const index = new ItemNeighborIndex().build(matrix);
+
+    const neighbors = index.getNeighbors(1);
+
+    expect(neighbors[0].productId).toBe(2);
+    expect(neighbors[0].similarity).toBeCloseTo(1);
+    expect(neighbors.map((n) => n.productId)).not.toContain(4);
+  });
+
+  it("recommends unseen neighbors of a user's products", () => {
+    const index = new ItemNeighborIndex().build(matrix);
+
+    const recs = index.recommend(new Map([[3, 5]]), 5);
+
+    expect(recs[0].productId).toBe(4);
+    expect(recs.map((r) => r.productId)).not.toContain(3);
+  });
+
+  it("matches a full rebuild after an incremental update", () => {
+    const incremental = new ItemNeighborIndex().build(matrix);
+    incremental.updateInteraction(matrix.get("a"), 4, 0, 10);
+
+    const updated = buildMatrix({
+      a: { 1: 3, 2: 3, 4: 10 },
+      b: { 1: 5, 2: 5, 3: 1 },
+      c: { 3: 10, 4: 10 },
+    });
+    const rebuilt = new ItemNeighborIndex().build(updated);
+
+    for (const productId of [1, 2, 3, 4]) {
+      expect(incremental.getNeighbors(productId)).toEqual(
+        rebuilt
+          .getNeighbors(productId)
+          .map((n) => ({ ...n, similarity: expect.closeTo(n.similarity) }))
+      );
+    }
+  });
+});
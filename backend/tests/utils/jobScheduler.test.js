@@ -0,0 +1,246 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import User from "../../models/User.js";
+import Product from "../../models/Product.js";
+import JobScheduler, { parseCron, nextRun } from "../../utils/jobScheduler.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import { registerTrainingJobs } from "../../utils/trainingJobs.js";
+import { makeProduct } from "../helpers/fixtures.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const at = (iso) => new Date(iso);
+
+describe("Job scheduler", () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new JobScheduler({
+      now: () => at("2024-06-01T10:00:00").getTime(),
+    });
+  });
+
+  it("parses cron fields, ranges, steps and lists", () => {
+    const everyHalfHour = parseCron("*/30 * * * *");
+    expect(everyHalfHour(at("2024-06-01T10:30:00"))).toBe(true);
+    expect(everyHalfHour(at("2024-06-01T10:15:00"))).toBe(false);
+
+    const weekdayMornings = parseCron("0 8-10/2 * * 1-5");
+    expect(weekdayMornings(at("2024-06-03T10:00:00"))).toBe(true); // Monday
+    expect(weekdayMornings(at("2024-06-03T09:00:00"))).toBe(false);
+    expect(weekdayMornings(at("2024-06-02T08:00:00"))).toBe(false); // Sunday
+
+    // Restricted day of month and day of week match either
+    const firstOrSunday = parseCron("0 0 1 * 7");
+    expect(firstOrSunday(at("2024-06-01T00:00:00"))).toBe(true);
+    expect(firstOrSunday(at("2024-06-02T00:00:00"))).toBe(true);
+    expect(firstOrSunday(at("2024-06-03T00:00:00"))).toBe(false);
+
+    expect(() => parseCron("* * *")).toThrow("5 fields");
+    expect(() => parseCron("61 * * * *")).toThrow("Invalid cron minute");
+  });
+
+  it("finds the next matching minute", () => {
+    const nightly = parseCron("0 3 * * *");
+    expect(nextRun(nightly, at("2024-06-01T10:00:00"))).toEqual(
+      at("2024-06-02T03:00:00")
+    );
+    expect(nextRun(nightly, at("2024-06-01T02:59:30"))).toEqual(
+      at("2024-06-01T03:00:00")
+    );
+  });
+
+  it("records manual and scheduled runs in the history", async () => {
+    const run = vi.fn().mockResolvedValue({ trained: true });
+    scheduler.register("retrain", { schedule: "0 3 * * *", run });
+
+    expect(scheduler.trigger("missing")).toBeNull();
+    expect(scheduler.trigger("retrain").status).toBe("running");
+    await scheduler.idle();
+    scheduler.tick(at("2024-06-02T03:00:00"));
+    scheduler.tick(at("2024-06-02T03:01:00"));
+    await scheduler.idle();
+
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(scheduler.getHistory("retrain")).toMatchObject([
+      { trigger: "schedule", status: "succeeded", result: { trained: true } },
+      { trigger: "manual", status: "succeeded" },
+    ]);
+    expect(scheduler.getJobs()[0]).toMatchObject({
+      name: "retrain",
+      running: false,
+      nextRunAt: at("2024-06-02T03:00:00"),
+      lastRun: { trigger: "schedule" },
+    });
+  });
+
+  it("skips jobs while another is running and records failures", async () => {
+    let finish;
+    scheduler.register("full", {
+      schedule: "0 3 * * *",
+      run: () => new Promise((resolve) => (finish = resolve)),
+    });
+    scheduler.register("broken", {
+      schedule: "0 4 * * *",
+      run: () => Promise.reject(new Error("no data")),
+    });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    scheduler.trigger("full");
+    expect(scheduler.getJobs()[0].running).toBe(true);
+    expect(scheduler.trigger("broken")).toMatchObject({
+      status: "skipped",
+      error: "Job full is already running",
+    });
+
+    // Jobs start on the next microtask
+    await vi.waitFor(() => expect(finish).toBeTypeOf("function"));
+    finish();
+    await scheduler.idle();
+    scheduler.trigger("broken");
+    await scheduler.idle();
+
+    expect(scheduler.getHistory().map((run) => run.status)).toEqual([
+      "failed",
+      "skipped",
+      "succeeded",
+    ]);
+    expect(scheduler.getHistory("broken")[0].error).toBe("no data");
+  });
+
+  it("reads training schedules from the environment when registering", () => {
+    vi.stubEnv("FULL_RETRAIN_CRON", "15 2 * * *");
+
+    const jobs = registerTrainingJobs(new JobScheduler()).getJobs();
+    vi.unstubAllEnvs();
+
+    expect(jobs.map(({ name, schedule }) => [name, schedule])).toEqual([
+      ["full_retrain", "15 2 * * *"],
+      ["incremental_refresh", "*/30 * * * *"],
+    ]);
+  });
+});
+
+describe("Background retraining", () => {
+  const products = [
+    { product_id: 1, product_name: "Trail Running Shoes", category: "Sports" },
+    { product_id: 2, product_name: "Road Running Shoes", category: "Sports" },
+    { product_id: 3, product_name: "Espresso Machine", category: "Kitchen" },
+  ].map((product) =>
+    makeProduct({ ...product, _id: `p${product.product_id}` })
+  );
+  const users = [
+    {
+      _id: "u1",
+      interactions: [
+        { productId: 1, type: "purchase", timestamp: new Date() },
+        { productId: 2, type: "like", timestamp: new Date() },
+      ],
+    },
+    {
+      _id: "u2",
+      interactions: [{ productId: 1, type: "view", timestamp: new Date() }],
+    },
+  ];
+
+  it("trains in a worker and swaps the new model in", async () => {
+    Product.find.mockReturnValue({ lean: () => Promise.resolve(products) });
+    User.find.mockReturnValue({
+      select: () => ({ lean: () => Promise.resolve(users) }),
+    });
+    const engine = new RecommendationEngine();
+    vi.spyOn(engine, "saveSnapshot").mockResolvedValue();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+
+    const full = await engine.retrain("incremental");
+    expect(full).toMatchObject({ mode: "full", products: 3, users: 2 });
+    expect(engine.modelSource).toBe("training");
+    expect(engine.productFeatures.size).toBe(3);
+    expect(engine.userItemMatrix.get("u1").size).toBe(2);
+    expect(engine.matrixFactorization.hasUser("u2")).toBe(true);
+
+    const incremental = await engine.retrain("incremental");
+    expect(incremental.mode).toBe("incremental");
+    expect(engine.productFeatures.size).toBe(3);
+    expect(engine.pendingInteractions).toBeNull();
+  }, 30000);
+
+  it("replays interactions recorded or undone while retraining", async () => {
+    const hidden = {
+      _id: "i1",
+      productId: 3,
+      type: "hide",
+      timestamp: new Date(),
+    };
+    const liked = {
+      _id: "i2",
+      productId: 3,
+      type: "like",
+      timestamp: new Date(),
+    };
+    const engine = new RecommendationEngine();
+    vi.spyOn(engine, "saveSnapshot").mockResolvedValue();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    Product.find.mockReturnValue({ lean: () => Promise.resolve(products) });
+    User.find.mockReturnValue({
+      select: () => ({
+        lean: async () => {
+          // Recorded while the read runs: the hide made it into the read,
+          // the like did not
+          engine.pendingInteractions.push(
+            { userId: "u1", previous: null, latest: hidden },
+            { userId: "u2", previous: null, latest: liked }
+          );
+          return [
+            { ...users[0], interactions: [...users[0].interactions, hidden] },
+            users[1],
+          ];
+        },
+      }),
+    });
+    User.findById.mockResolvedValue({
+      interactions: [...users[0].interactions, hidden],
+      save: vi.fn(),
+    });
+
+    const retraining = engine.retrain("full");
+    await vi.waitFor(() => expect(engine.pendingInteractions).toHaveLength(2));
+    expect(await engine.removeUserInteraction("u1", 3, "hide")).toBe(true);
+    await retraining;
+
+    expect(engine.getHiddenProducts("u1").has(3)).toBe(false);
+    expect(engine.userItemMatrix.get("u1").has(3)).toBe(false);
+    expect(engine.userItemMatrix.get("u2").get(3)).toBeCloseTo(
+      engine.getInteractionWeight("like"),
+      3
+    );
+  }, 30000);
+
+  it("keeps catalog changes synced while retraining", async () => {
+    const engine = new RecommendationEngine();
+    vi.spyOn(engine, "saveSnapshot").mockResolvedValue();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    Product.find.mockReturnValue({ lean: () => Promise.resolve(products) });
+    User.find.mockReturnValue({
+      select: () => ({
+        lean: async () => {
+          // Product 2 sells out and product 3 is deleted after the read
+          Product.findOne.mockResolvedValueOnce({
+            ...products[1],
+            quantity_in_stock: 0,
+          });
+          await engine.syncProduct(2);
+          Product.findOne.mockResolvedValueOnce(null);
+          await engine.syncProduct(3);
+          return users;
+        },
+      }),
+    });
+
+    await engine.retrain("full");
+
+    expect(engine.getAvailability(2)).toBe("out_of_stock");
+    expect(engine.productFeatures.has(3)).toBe(false);
+    expect(engine.pendingProducts).toBeNull();
+  }, 30000);
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect, vi } from "vitest";
+import MatrixFactorization from "../../utils/matrixFactorization.js";
+import { buildMatrix } from "../helpers/fixtures.js";
+
+describe("MatrixFactorization", () => {
+  // Two clear taste clusters: {1, 2, 3} and {4, 5, 6}
+  const matrix = buildMatrix({
+    a: { 1: 10, 2: 5, 3: 3 },
+    b: { 1: 5, 2: 10 },
+    c: { 2: 3, 3: 10 },
+    d: { 4: 10, 5: 5, 6: 3 },
+    e: { 4: 5, 5: 10 },
+    f: { 5: 3, 6: 10 },
+  });
+
+  it("learns embeddings for every user and item", () => {
+    const model = new MatrixFactorization({ factors: 4 }).fit(matrix);
+
+    expect(model.userFactors.size).toBe(6);
+    expect(model.itemFactors.size).toBe(6);
+    expect(model.userFactors.get("a")).toHaveLength(4);
+  });
+
+  it("ranks unseen items from the user's own cluster first", () => {
+    const model = new MatrixFactorization({ factors: 4 }).fit(matrix);
+
+    const recs = model.recommend("b", 2, new Set([1, 2]));
+
+    expect(recs[0].productId).toBe(3);
+    expect(model.predict("b", 3)).toBeGreaterThan(model.predict("b", 6));
+  });
+
+  it("is deterministic for a given seed", () => {
+    const first = new MatrixFactorization({ factors: 4, seed: 7 }).fit(matrix);
+    const second = new MatrixFactorization({ factors: 4, seed: 7 }).fit(matrix);
+
+    expect(first.predict("a", 4)).toBe(second.predict("a", 4));
+  });
+
+  it("folds in a new user without retraining", () => {
+    const model = new MatrixFactorization({ factors: 4 }).fit(matrix);
+
+    model.foldInUser("g", new Map([[4, 10]]));
+
+    expect(model.hasUser("g")).toBe(true);
+    expect(model.predict("g", 5)).toBeGreaterThan(model.predict("g", 2));
+  });
+
+  it("reuses the item Gram matrix across fold-ins until retrained", () => {
+    const model = new MatrixFactorization({ factors: 4 }).fit(matrix);
+    const gramMatrix = vi.spyOn(model, "gramMatrix");
+
+    model.foldInUser("g", new Map([[4, 10]]));
+    model.foldInUser("h", new Map([[1, 10]]));
+    model.foldInUsers(matrix);
+    expect(gramMatrix).toHaveBeenCalledTimes(1);
+
+    model.fit(matrix);
+    gramMatrix.mockClear();
+    model.foldInUser("g", new Map([[4, 10]]));
+    expect(gramMatrix).toHaveBeenCalledTimes(1);
+  });
+
+  it("returns nothing for unknown users", () => {
+    const model = new MatrixFactorization().fit(new Map());
+
+    expect(model.recommend("nobody")).toEqual([]);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from "vitest";
+import {
+  matchesRule,
+  validateRule,
+  applyMerchandisingRules,
+} from "../../utils/merchandising.js";
+
+const NOW = new Date("2024-06-01T00:00:00Z").getTime();
+
+const products = [
+  {
+    product_id: 1,
+    category: "Books",
+    manufacturer: "Acme",
+    quantity_in_stock: 5,
+  },
+  {
+    product_id: 2,
+    category: "Toys",
+    manufacturer: "Acme",
+    quantity_in_stock: 0,
+  },
+  {
+    product_id: 3,
+    category: "Books",
+    manufacturer: "Zeta",
+    quantity_in_stock: 12,
+    is_on_sale: true,
+  },
+  {
+    product_id: 4,
+    category: "Games",
+    manufacturer: "Zeta",
+    quantity_in_stock: 50,
+  },
+];
+
+const rule = (action, conditions = {}, extra = {}) => ({
+  _id: `${action.type}-rule`,
+  name: `${action.type} rule`,
+  active: true,
+  conditions,
+  action,
+  ...extra,
+});
+
+const ids = (items) => items.map((item) => item.product_id);
+
+describe("Merchandising rules", () => {
+  it("matches products on category, manufacturer, sale and stock", () => {
+    expect(matchesRule(products[0], { categories: ["Books"] })).toBe(true);
+    expect(matchesRule(products[1], { categories: ["Books"] })).toBe(false);
+    expect(matchesRule(products[2], { isOnSale: true })).toBe(true);
+    expect(matchesRule(products[0], { isOnSale: true })).toBe(false);
+    expect(matchesRule(products[1], { maxStock: 0 })).toBe(true);
+    expect(
+      matchesRule(products[3], { minStock: 10, manufacturers: ["Zeta"] })
+    ).toBe(true);
+    expect(matchesRule(products[0], {})).toBe(true);
+  });
+
+  it("validates actions and date ranges", () => {
+    expect(validateRule(rule({ type: "boost", factor: 3 }))).toBeNull();
+    expect(validateRule(rule({ type: "promote" }))).toMatch(/action type/);
+    expect(validateRule(rule({ type: "pin" }))).toMatch(/Pin position/);
+    expect(
+      validateRule(
+        rule(
+          { type: "bury" },
+          {},
+          {
+            startDate: "2024-06-02",
+            endDate: "2024-06-01",
+          }
+        )
+      )
+    ).toMatch(/start date/);
+  });
+
+  it("validates conditions", () => {
+    const bury = { type: "bury" };
+
+    expect(
+      validateRule(rule(bury, { categories: ["Books"], minStock: 0 }))
+    ).toBeNull();
+    expect(validateRule(rule(bury, { categories: "Books" }))).toMatch(
+      /categories must be a list/
+    );
+    expect(validateRule(rule(bury, { manufacturers: [1] }))).toMatch(
+      /manufacturers must be a list/
+    );
+    expect(validateRule(rule(bury, { isOnSale: "yes" }))).toMatch(/isOnSale/);
+    expect(validateRule(rule(bury, { minStock: -1 }))).toMatch(
+      /minStock must be a number/
+    );
+    expect(validateRule(rule(bury, { maxStock: "5" }))).toMatch(
+      /maxStock must be a number/
+    );
+    expect(validateRule(rule(bury, { minStock: 10, maxStock: 5 }))).toMatch(
+      /greater than maxStock/
+    );
+    expect(validateRule(rule(bury, ["Books"]))).toMatch(/must be an object/);
+  });
+
+  it("excludes, buries and boosts matching products", () => {
+    expect(
+      ids(
+        applyMerchandisingRules(
+          products,
+          [rule({ type: "exclude" }, { maxStock: 0 })],
+          NOW
+        )
+      )
+    ).toEqual([1, 3, 4]);
+
+    expect(
+      ids(
+        applyMerchandisingRules(
+          products,
+          [rule({ type: "bury" }, { categories: ["Books"] })],
+          NOW
+        )
+      )
+    ).toEqual([2, 4, 1, 3]);
+
+    const boosted = applyMerchandisingRules(
+      products,
+      [rule({ type: "boost", factor: 5 }, { categories: ["Games"] })],
+      NOW
+    );
+    expect(ids(boosted)).toEqual([4, 1, 2, 3]);
+    expect(boosted[0].merchandising).toEqual([
+      { ruleId: "boost-rule", name: "boost rule", action: "boost" },
+    ]);
+    expect(boosted[1].merchandising).toBeUndefined();
+  });
+
+  it("pins products to a position, highest priority first", () => {
+    const pinned = applyMerchandisingRules(
+      products,
+      [
+        rule({ type: "pin", position: 1 }, { categories: ["Games"] }),
+        rule(
+          { type: "pin", position: 1 },
+          { categories: ["Toys"] },
+          { _id: "toys", priority: 5 }
+        ),
+      ],
+      NOW
+    );
+
+    expect(ids(pinned)).toEqual([2, 4, 1, 3]);
+  });
+
+  it("ignores inactive and out-of-window rules", () => {
+    const rules = [
+      rule({ type: "exclude" }, {}, { active: false }),
+      rule({ type: "exclude" }, {}, { endDate: new Date(NOW - 1000) }),
+      rule({ type: "exclude" }, {}, { startDate: new Date(NOW + 1000) }),
+    ];
+
+    expect(applyMerchandisingRules(products, rules, NOW)).toBe(products);
+  });
+});
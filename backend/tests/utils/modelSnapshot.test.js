@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  saveSnapshot,
+  loadLatestSnapshot,
+  SNAPSHOT_VERSION,
+} from "../../utils/modelSnapshot.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const products = [
+  {
+    product_id: 1,
+    product_name: "Stainless Water Bottle",
+    description: "Insulated bottle",
+    category: "Sports",
+    subcategory: "Hydration",
+    manufacturer: "Acme",
+    price: 20,
+    rating: 4.5,
+  },
+  {
+    product_id: 2,
+    product_name: "Hiking Water Bottle",
+    description: "Lightweight bottle",
+    category: "Sports",
+    subcategory: "Hydration",
+    manufacturer: "Trail",
+    price: 15,
+    rating: 4,
+  },
+];
+
+const trainEngine = () => {
+  const engine = new RecommendationEngine({ now: () => Date.UTC(2024, 0, 1) });
+  engine.buildProductFeatures(products);
+  engine.loadUserItemMatrix([
+    { _id: "a", interactions: [{ productId: 1, type: "like" }] },
+    {
+      _id: "b",
+      interactions: [
+        { productId: 1, type: "view" },
+        { productId: 2, type: "purchase" },
+      ],
+    },
+  ]);
+  engine.trainModels();
+  engine.trainedAt = new Date(Date.UTC(2024, 0, 1));
+  return engine;
+};
+
+describe("model snapshots", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "snapshots-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("restores an engine that scores exactly like the original", () => {
+    const original = trainEngine();
+    const restored = new RecommendationEngine();
+
+    restored.importState(JSON.parse(JSON.stringify(original.exportState())));
+
+    expect(restored.calculateProductSimilarity(1, 2)).toBe(
+      original.calculateProductSimilarity(1, 2)
+    );
+    expect(restored.matrixFactorization.predict("a", 2)).toBe(
+      original.matrixFactorization.predict("a", 2)
+    );
+    expect(restored.itemNeighbors.getNeighbors(1)).toEqual(
+      original.itemNeighbors.getNeighbors(1)
+    );
+    expect(restored.trainedAt).toEqual(original.trainedAt);
+  });
+
+  it("loads the newest snapshot and keeps only a few", async () => {
+    for (let i = 0; i < 5; i++) {
+      await saveSnapshot({ run: i }, dir);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+
+    const snapshot = await loadLatestSnapshot(dir);
+
+    expect(snapshot.state).toEqual({ run: 4 });
+    expect(snapshot.metadata.version).toBe(SNAPSHOT_VERSION);
+    expect(fs.readdirSync(dir)).toHaveLength(3);
+  });
+
+  it("ignores incompatible or stale snapshots", async () => {
+    fs.writeFileSync(
+      path.join(dir, "model-2024-01-01T00-00-00-000Z.json"),
+      JSON.stringify({
+        version: SNAPSHOT_VERSION + 1,
+        createdAt: new Date().toISOString(),
+        state: {},
+      })
+    );
+    expect(await loadLatestSnapshot(dir)).toBeNull();
+
+    await saveSnapshot({}, dir);
+    const tomorrow = Date.now() + 48 * 3600 * 1000;
+    expect(await loadLatestSnapshot(dir, tomorrow)).toBeNull();
+  });
+
+  it("returns null when there is no snapshot directory", async () => {
+    expect(await loadLatestSnapshot(path.join(dir, "missing"))).toBeNull();
+  });
+});
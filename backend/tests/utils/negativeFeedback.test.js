@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import User from "../../models/User.js";
+import Product from "../../models/Product.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import ItemNeighborIndex from "../../utils/itemNeighbors.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const NOW = new Date("2024-06-01T00:00:00Z").getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("Negative feedback", () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    engine = new RecommendationEngine({ now: () => NOW });
+    engine.loadUserItemMatrix([
+      {
+        _id: "user1",
+        interactions: [
+          { productId: 1, type: "like", timestamp: new Date(NOW) },
+          { productId: 2, type: "dislike", timestamp: new Date(NOW) },
+          { productId: 3, type: "hide", timestamp: new Date(NOW) },
+        ],
+      },
+    ]);
+  });
+
+  it("stores dislikes and hides as negative weights", () => {
+    const row = engine.userItemMatrix.get("user1");
+
+    expect(row.get(1)).toBe(3);
+    expect(row.get(2)).toBe(-5);
+    expect(row.get(3)).toBe(-10);
+    expect(engine.getHiddenProducts("user1")).toEqual(new Set([3]));
+  });
+
+  it("does not seed content-based recommendations from disliked products", () => {
+    expect(
+      engine.getSeedProductId([
+        { productId: 2, type: "dislike", timestamp: new Date(NOW) },
+      ])
+    ).toBeNull();
+  });
+
+  it("excludes hidden products from fallback recommendations", async () => {
+    Product.find.mockResolvedValue([]);
+
+    await engine.getFallbackRecommendations(5, "user1");
+
+    expect(Product.find).toHaveBeenCalledWith({
+      quantity_in_stock: { $gt: 0 },
+      product_id: { $nin: [3] },
+    });
+  });
+
+  it("un-hides a product when the hide is undone", async () => {
+    const user = {
+      interactions: [
+        { productId: 1, type: "like", timestamp: new Date(NOW) },
+        { productId: 2, type: "dislike", timestamp: new Date(NOW) },
+        { productId: 3, type: "hide", timestamp: new Date(NOW) },
+      ],
+      save: vi.fn().mockResolvedValue(),
+    };
+    User.findById.mockResolvedValue(user);
+
+    const removed = await engine.removeUserInteraction("user1", 3, "hide");
+
+    expect(removed).toBe(true);
+    expect(user.save).toHaveBeenCalled();
+    expect(user.interactions).toHaveLength(2);
+    expect(engine.userItemMatrix.get("user1").has(3)).toBe(false);
+    expect(engine.getHiddenProducts("user1").has(3)).toBe(false);
+  });
+
+  it("takes an undone view out of popularity and session counts", async () => {
+    const minute = 60 * 1000;
+    const interactions = [1, 2, 3].map((productId, i) => ({
+      productId,
+      type: "view",
+      timestamp: new Date(NOW + i * minute),
+    }));
+    const users = [{ _id: "user1", interactions: [...interactions] }];
+    engine.sessionTransitions.build(users);
+    engine.popularity.build(users, (type) => engine.getInteractionWeight(type));
+    const product = { view_count: 4, save: vi.fn().mockResolvedValue() };
+    Product.findOne.mockResolvedValue(product);
+    User.findById.mockResolvedValue({
+      interactions,
+      save: vi.fn().mockResolvedValue(),
+    });
+
+    await engine.removeUserInteraction("user1", 2, "view");
+
+    expect(engine.sessionTransitions.probability(1, 2)).toBe(0);
+    expect(engine.sessionTransitions.probability(2, 3)).toBe(0);
+    expect(engine.sessionTransitions.probability(1, 3)).toBe(1);
+    expect(engine.popularity.countBetween(2, NOW, NOW + DAY_MS)).toBe(0);
+    expect(engine.popularity.countBetween(3, NOW, NOW + DAY_MS)).toBe(1);
+    expect(product.view_count).toBe(3);
+    expect(product.save).toHaveBeenCalled();
+  });
+
+  it("reports when there is nothing to undo", async () => {
+    User.findById.mockResolvedValue({
+      interactions: [],
+      save: vi.fn(),
+    });
+
+    expect(await engine.removeUserInteraction("user1", 3, "hide")).toBe(false);
+  });
+
+  it("drops item neighbors pushed below zero by dislikes", () => {
+    const index = new ItemNeighborIndex().build(
+      new Map([
+        [
+          "a",
+          new Map([
+            [1, 1],
+            [2, 1],
+          ]),
+        ],
+        [
+          "b",
+          new Map([
+            [1, 1],
+            [2, 1],
+            [3, 1],
+          ]),
+        ],
+      ])
+    );
+
+    const scored = index.recommend(new Map([[1, -5]]));
+
+    expect(scored).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi } from "vitest";
+import Product from "../../models/Product.js";
+import recommendationEngine, {
+  RecommendationEngine,
+} from "../../utils/recommender.js";
+import { getProducts } from "../../controllers/productController.js";
+import { makeProduct } from "../helpers/fixtures.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const product = (product_id, category, manufacturer, price) =>
+  makeProduct({
+    product_id,
+    product_name: `${manufacturer} ${category} ${product_id}`,
+    description: category,
+    category,
+    manufacturer,
+    price,
+  });
+
+const purchase = (productId) => ({
+  productId,
+  type: "purchase",
+  timestamp: new Date(),
+});
+
+describe("Personalized ranking", () => {
+  const engine = new RecommendationEngine();
+  engine.buildProductFeatures([
+    product(1, "Electronics", "Acme", 50),
+    product(2, "Electronics", "Zenith", 50),
+    product(3, "Kitchen", "Acme", 50),
+    product(4, "Kitchen", "Zenith", 900),
+    product(5, "Books", "Inkwell", 50),
+  ]);
+  engine.loadUserItemMatrix([
+    { _id: "fan", interactions: [purchase(1)] },
+    { _id: "peer", interactions: [purchase(1), purchase(5)] },
+  ]);
+  const productIds = [1, 2, 3, 4, 5];
+
+  it("ranks by category, similar users, manufacturer and price fit", () => {
+    const scores = engine.getAffinityScores("fan", productIds);
+
+    expect(
+      [...productIds].sort((a, b) => scores.get(b) - scores.get(a))
+    ).toEqual([1, 2, 5, 3, 4]);
+    expect(scores.get(1)).toBeCloseTo(1, 5);
+    // Bought by a similar user and in the user's price range, but neither
+    // category nor manufacturer match
+    expect(scores.get(5)).toBeCloseTo(0.5, 5);
+    for (const score of scores.values()) {
+      expect(score).toBeGreaterThanOrEqual(0);
+      expect(score).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it("uses favorite categories for users without history", () => {
+    const scores = engine.getAffinityScores("newcomer", productIds, {
+      favoriteCategories: ["Kitchen"],
+    });
+
+    expect(scores.get(3)).toBe(1);
+    expect(scores.get(4)).toBe(1);
+    expect(scores.get(1)).toBe(0);
+  });
+
+  it("returns null when nothing is known about the user", () => {
+    expect(engine.getAffinityScores(null, productIds)).toBeNull();
+    expect(engine.getAffinityScores("newcomer", productIds)).toBeNull();
+  });
+});
+
+describe("Personalized product listing", () => {
+  const catalog = [
+    product(1, "Electronics", "Acme", 50),
+    product(2, "Electronics", "Zenith", 50),
+    product(3, "Kitchen", "Acme", 50),
+    product(4, "Kitchen", "Zenith", 900),
+    product(5, "Books", "Inkwell", 50),
+  ];
+  recommendationEngine.buildProductFeatures(catalog);
+  recommendationEngine.loadUserItemMatrix([
+    { _id: "fan", interactions: [purchase(1)] },
+    { _id: "peer", interactions: [purchase(1), purchase(5)] },
+  ]);
+
+  it("ranks every match and paginates with the full count", async () => {
+    // The id query over the whole filtered set, then the page's documents
+    Product.find.mockImplementation((filter) =>
+      filter.product_id
+        ? Promise.resolve(
+            catalog
+              .filter((p) => filter.product_id.$in.includes(p.product_id))
+              .map((p) => ({ ...p, toObject: () => p }))
+          )
+        : {
+            select: () => ({
+              sort: () => ({
+                lean: async () =>
+                  catalog.map(({ product_id }) => ({ product_id })),
+              }),
+            }),
+          }
+    );
+    Product.countDocuments.mockResolvedValue(catalog.length);
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    await getProducts(
+      {
+        user: { _id: "fan", preferences: {} },
+        query: { sortBy: "personalized", page: "2", limit: "2" },
+      },
+      res
+    );
+
+    const { products, personalized, pagination } = res.json.mock.calls[0][0];
+    expect(personalized).toBe(true);
+    expect(products.map((p) => p.product_id)).toEqual([5, 3]);
+    expect(products[0].personal_score).toBeGreaterThan(
+      products[1].personal_score
+    );
+    expect(pagination).toMatchObject({
+      totalCount: 5,
+      totalPages: 3,
+      hasNext: true,
+    });
+  });
+});
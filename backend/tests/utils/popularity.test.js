@@ -0,0 +1,105 @@
+import { describe, it, expect } from "vitest";
+import PopularityIndex, {
+  bayesianAverage,
+  TRENDING_WINDOWS,
+} from "../../utils/popularity.js";
+
+const NOW = new Date("2024-06-01T12:00:00Z").getTime();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const event = (productId, daysAgo, type = "view", rating) => ({
+  productId,
+  type,
+  timestamp: new Date(NOW - daysAgo * DAY_MS),
+  rating,
+});
+const weightOf = (type) => ({ view: 1, like: 3, purchase: 10 }[type] || 1);
+
+describe("Popularity", () => {
+  it("shrinks averages with few observations toward the prior", () => {
+    expect(bayesianAverage(5, 1, 3, 5)).toBeCloseTo(20 / 6);
+    expect(bayesianAverage(500, 100, 3, 5)).toBeCloseTo(515 / 105);
+  });
+
+  it("ranks many good ratings above a single perfect one", () => {
+    const index = new PopularityIndex().build(
+      [
+        {
+          interactions: [
+            ...Array.from({ length: 20 }, () => event(2, 40, "purchase", 4.5)),
+          ],
+        },
+      ],
+      weightOf
+    );
+
+    const single = index.bayesianRating(1, 5, 3);
+    const many = index.bayesianRating(2, 4.5, 3);
+
+    expect(many).toBeGreaterThan(single);
+    expect(single).toBeLessThan(5);
+  });
+
+  it("scores velocity against the baseline rate", () => {
+    const index = new PopularityIndex().build(
+      [
+        {
+          interactions: [
+            // Product 1: steady, one view a day for four weeks, never trends
+            ...Array.from({ length: 28 }, (_, day) => event(1, day + 0.5)),
+            // Product 2: new, three views in the last day
+            event(2, 0.1),
+            event(2, 0.2),
+            event(2, 0.3),
+            // Product 3: busy last week but quiet in the last day
+            event(3, 3, "purchase"),
+          ],
+        },
+      ],
+      weightOf
+    );
+
+    const trending = index.trending(TRENDING_WINDOWS["24h"], NOW);
+
+    expect(trending.map((item) => item.productId)).toEqual([2]);
+    expect(trending[0]).toMatchObject({ recent: 3, expected: 0 });
+    expect(
+      index.trending(TRENDING_WINDOWS["7d"], NOW).map((item) => item.productId)
+    ).toEqual([3, 2]);
+  });
+
+  it("prunes counts older than the longest window's baseline period", () => {
+    const index = new PopularityIndex().build(
+      [
+        {
+          interactions: [
+            event(1, 200),
+            event(1, 100, "purchase", 5),
+            event(2, 130, "like", 4),
+          ],
+        },
+      ],
+      weightOf
+    );
+
+    index.prune(NOW);
+
+    // 30-day window plus three times that as baseline
+    expect(Array.from(index.buckets.keys())).toEqual([1]);
+    expect(index.countBetween(1, 0, NOW)).toBe(10);
+    expect(index.bayesianRating(2, null, 3)).toBeCloseTo((15 + 4) / 6);
+  });
+
+  it("ignores negative feedback and survives serialization", () => {
+    const index = new PopularityIndex().build(
+      [{ interactions: [event(1, 0.1, "hide"), event(2, 0.1, "like")] }],
+      weightOf
+    );
+    const restored = PopularityIndex.fromJSON(
+      JSON.parse(JSON.stringify(index.toJSON()))
+    );
+
+    expect(
+      restored.trending(TRENDING_WINDOWS["24h"], NOW).map((i) => i.productId)
+    ).toEqual([2]);
+  });
+});
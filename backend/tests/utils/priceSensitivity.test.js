@@ -0,0 +1,176 @@
+import { describe, it, expect, vi } from "vitest";
+import PriceSensitivityModel, {
+  effectivePrice,
+} from "../../utils/priceSensitivity.js";
+import User from "../../models/User.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import { makeProduct } from "../helpers/fixtures.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const product = (product_id, category, price, sale_price = null) =>
+  makeProduct({
+    product_id,
+    product_name: `${category} item ${product_id}`,
+    description: category,
+    category,
+    price,
+    sale_price,
+  });
+
+const interaction = (productId, type) => ({
+  productId,
+  type,
+  timestamp: new Date(),
+});
+
+describe("Price sensitivity", () => {
+  const catalog = new Map(
+    [
+      product(1, "Electronics", 40),
+      product(2, "Electronics", 60),
+      product(3, "Electronics", 900),
+      product(4, "Kitchen", 200, 50),
+      product(5, "Kitchen", 300),
+    ].map((p) => [
+      p.product_id,
+      { category: p.category, price: effectivePrice(p) },
+    ])
+  );
+  const getProduct = (productId) => catalog.get(productId);
+
+  it("learns a user's typical price per category from effective prices", () => {
+    const model = new PriceSensitivityModel().build(
+      [
+        {
+          _id: "bargain",
+          interactions: [
+            interaction(1, "purchase"),
+            interaction(2, "purchase"),
+            interaction(4, "cart_add"),
+            // Views say nothing about willingness to pay
+            interaction(3, "view"),
+          ],
+        },
+      ],
+      getProduct
+    );
+
+    const summary = model.summary("bargain");
+    expect(summary.overall.observations).toBe(2.5);
+    expect(summary.categories.map((c) => c.category)).toEqual([
+      "Electronics",
+      "Kitchen",
+    ]);
+    expect(summary.categories[0].typicalPrice).toBeCloseTo(
+      Math.sqrt(40 * 60),
+      0
+    );
+    // The sale price is what was paid; a sparse category leans on the
+    // overall distribution
+    expect(summary.categories[1].typicalPrice).toBeGreaterThan(48);
+    expect(summary.categories[1].typicalPrice).toBeLessThan(50);
+    expect(model.summary("unknown")).toBeNull();
+  });
+
+  it("scores prices near the user's range higher", () => {
+    const model = new PriceSensitivityModel().build(
+      [
+        {
+          _id: "premium",
+          interactions: [
+            { ...interaction(1, "purchase"), price: 800 },
+            interaction(3, "purchase"),
+          ],
+        },
+      ],
+      getProduct
+    );
+
+    expect(model.fit("premium", "Electronics", 850)).toBeGreaterThan(0.9);
+    expect(model.fit("premium", "Electronics", 50)).toBeLessThan(0.01);
+    expect(model.fit("premium", "Electronics", 850)).toBeGreaterThan(
+      model.fit("premium", "Kitchen", 850) - 1e-9
+    );
+    expect(model.fit("nobody", "Electronics", 50)).toBeNull();
+
+    model.recordInteraction("premium", "Electronics", 800, "purchase", -1);
+    expect(model.summary("premium").overall.observations).toBe(1);
+    expect(
+      PriceSensitivityModel.fromJSON(
+        JSON.parse(JSON.stringify(model.toJSON()))
+      ).fit("premium", "Electronics", 850)
+    ).toBeCloseTo(model.fit("premium", "Electronics", 850), 10);
+  });
+
+  it("leaves out categories whose purchases were all undone", () => {
+    const model = new PriceSensitivityModel().build(
+      [
+        {
+          _id: "returner",
+          interactions: [
+            interaction(1, "purchase"),
+            interaction(4, "purchase"),
+          ],
+        },
+      ],
+      getProduct
+    );
+
+    model.recordInteraction("returner", "Kitchen", 50, "purchase", -1);
+
+    const summary = model.summary("returner");
+    expect(summary.overall.observations).toBe(1);
+    expect(summary.categories.map((c) => c.category)).toEqual(["Electronics"]);
+
+    model.recordInteraction("returner", "Electronics", 40, "purchase", -1);
+    expect(model.summary("returner")).toBeNull();
+  });
+
+  it("re-scores candidates by price fit in the engine", () => {
+    const engine = new RecommendationEngine();
+    engine.buildProductFeatures([
+      product(1, "Electronics", 40),
+      product(2, "Electronics", 60),
+      product(3, "Electronics", 900),
+      product(6, "Electronics", 1000, 55),
+    ]);
+    engine.loadUserItemMatrix([
+      {
+        _id: "bargain",
+        interactions: [interaction(1, "purchase"), interaction(2, "cart_add")],
+      },
+    ]);
+
+    const bargainFit = engine.getPriceFit("bargain", 6);
+    const premiumFit = engine.getPriceFit("bargain", 3);
+    expect(bargainFit).toBeGreaterThan(0.8);
+    expect(premiumFit).toBeLessThan(0.01);
+    expect(engine.getPriceFitMultiplier(premiumFit)).toBeCloseTo(0.7, 2);
+    expect(engine.getPriceFitMultiplier(engine.getPriceFit("new", 3))).toBe(1);
+    expect(engine.getPriceProfile("bargain").categories).toHaveLength(1);
+  });
+
+  it("records the price from the product the caller loaded", async () => {
+    const engine = new RecommendationEngine();
+    engine.buildProductFeatures([product(1, "Electronics", 100)]);
+    const user = {
+      interactions: [],
+      addInteraction: vi.fn(async function (productId, type) {
+        this.interactions.push({ productId, type, timestamp: new Date() });
+      }),
+    };
+    User.findById.mockResolvedValue(user);
+    // Put on sale since the features were built
+    const current = {
+      ...product(1, "Electronics", 100, 70),
+      incrementPurchaseCount: vi.fn().mockResolvedValue(),
+    };
+
+    await engine.updateUserInteraction("u1", 1, "purchase", null, current);
+
+    expect(user.addInteraction).toHaveBeenCalledWith(1, "purchase", null, 70);
+    expect(current.incrementPurchaseCount).toHaveBeenCalled();
+  });
+});
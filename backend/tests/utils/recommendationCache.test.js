@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import User from "../../models/User.js";
+import Product from "../../models/Product.js";
+import RecommendationCache, {
+  MemoryCacheStore,
+} from "../../utils/recommendationCache.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const NOW = new Date("2024-06-01T00:00:00Z").getTime();
+
+describe("Recommendation cache", () => {
+  let now;
+  let cache;
+
+  beforeEach(() => {
+    now = NOW;
+    cache = new RecommendationCache(new MemoryCacheStore({ now: () => now }), {
+      ttlSeconds: 60,
+    });
+  });
+
+  it("reuses results for the same user, strategy, limit and params", async () => {
+    const compute = vi.fn().mockResolvedValue([{ product_id: 1 }]);
+    const key = { userId: "u1", strategy: "hybrid", limit: 10 };
+
+    await cache.wrap({ ...key, params: { a: 1, b: 2 } }, compute);
+    const result = await cache.wrap(
+      { ...key, params: { b: 2, a: 1 } },
+      compute
+    );
+    await cache.wrap({ ...key, limit: 20, params: { a: 1, b: 2 } }, compute);
+
+    expect(result).toEqual([{ product_id: 1 }]);
+    expect(compute).toHaveBeenCalledTimes(2);
+    expect(cache.getStats()).toMatchObject({
+      hits: 1,
+      misses: 2,
+      hitRate: 1 / 3,
+      entries: 2,
+    });
+  });
+
+  it("expires entries after the TTL", async () => {
+    const compute = vi.fn().mockResolvedValue([]);
+    const key = { userId: "u1", strategy: "mf", limit: 10 };
+
+    await cache.wrap(key, compute);
+    now += 59 * 1000;
+    await cache.wrap(key, compute);
+    now += 2 * 1000;
+    await cache.wrap(key, compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+
+  it("invalidates one user's entries or everything", async () => {
+    const compute = vi.fn().mockResolvedValue([]);
+    for (const userId of ["u1", "u10", null]) {
+      await cache.wrap({ userId, strategy: "content", limit: 5 }, compute);
+    }
+
+    await cache.invalidateUser("u1");
+    expect(cache.store.size()).toBe(2);
+
+    await cache.invalidateAll();
+    expect(cache.store.size()).toBe(0);
+    expect(cache.getStats().invalidations).toBe(2);
+  });
+
+  it("evicts the oldest entry when the memory store is full", async () => {
+    const store = new MemoryCacheStore({ maxEntries: 2 });
+    await store.set("a", 1, 1000);
+    await store.set("b", 2, 1000);
+    await store.set("c", 3, 1000);
+
+    expect(await store.get("a")).toBeUndefined();
+    expect(await store.get("c")).toBe(3);
+  });
+
+  it("computes through when the store fails", async () => {
+    const failing = new RecommendationCache(
+      {
+        get: vi.fn().mockRejectedValue(new Error("down")),
+        set: vi.fn().mockRejectedValue(new Error("down")),
+      },
+      { ttlSeconds: 60 }
+    );
+    vi.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await failing.wrap(
+      { userId: "u1", strategy: "hybrid", limit: 10 },
+      async () => [{ product_id: 2 }]
+    );
+
+    expect(result).toEqual([{ product_id: 2 }]);
+    expect(failing.getStats()).toMatchObject({ misses: 1, errors: 2 });
+  });
+});
+
+describe("Engine cache invalidation", () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    engine = new RecommendationEngine({ now: () => NOW, cacheTtlSeconds: 60 });
+    Product.findOne.mockResolvedValue(null);
+  });
+
+  it("drops a user's cached lists when they interact", async () => {
+    const user = {
+      interactions: [],
+      addInteraction: vi.fn(async function (productId, type) {
+        this.interactions.push({ productId, type, timestamp: new Date(NOW) });
+      }),
+    };
+    User.findById.mockResolvedValue(user);
+    const compute = vi.fn().mockResolvedValue([]);
+    const key = { userId: "user1", strategy: "hybrid", limit: 10 };
+
+    await engine.cached(key, compute);
+    await engine.cached({ ...key, userId: "user2" }, compute);
+    await engine.updateUserInteraction("user1", 1, "like");
+    await engine.cached(key, compute);
+    await engine.cached({ ...key, userId: "user2" }, compute);
+
+    expect(compute).toHaveBeenCalledTimes(3);
+  });
+
+  it("re-checks stock on cached lists", async () => {
+    const compute = vi.fn(async () =>
+      engine.applyAvailability([
+        { product_id: 1, quantity_in_stock: 10, similarity_score: 0.9 },
+        { product_id: 2, quantity_in_stock: 10, similarity_score: 0.5 },
+      ])
+    );
+    const key = { userId: "user1", strategy: "hybrid", limit: 10 };
+
+    expect((await engine.cached(key, compute)).length).toBe(2);
+    engine.updateStockLevels([{ product_id: 1, quantity_in_stock: 0 }]);
+    engine.updateStockLevels([{ product_id: 2, quantity_in_stock: 1 }]);
+    const cached = await engine.cached(key, compute);
+
+    expect(compute).toHaveBeenCalledTimes(1);
+    expect(cached.map((rec) => [rec.product_id, rec.availability])).toEqual([
+      [2, "low_stock"],
+    ]);
+  });
+
+  it("drops everything when the catalog changes", async () => {
+    const compute = vi.fn().mockResolvedValue([]);
+    const key = { userId: null, strategy: "trending", limit: 10 };
+
+    await engine.cached(key, compute);
+    await engine.removeProduct(1);
+    await engine.cached(key, compute);
+
+    expect(compute).toHaveBeenCalledTimes(2);
+  });
+});
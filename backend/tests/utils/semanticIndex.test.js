@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import LatentSemanticIndex from "../../utils/semanticIndex.js";
+import {
+  tokenize,
+  buildTfIdfVectors,
+  vectorize,
+  cosineSimilarity,
+} from "../../utils/textVectors.js";
+
+const corpus = new Map([
+  [1, "laptop notebook computer"],
+  [2, "notebook computer portable"],
+  [3, "laptop portable battery"],
+  [4, "guitar strings music"],
+  [5, "guitar amplifier music"],
+  [6, "music amplifier speaker"],
+]);
+
+const { vectors, idf } = buildTfIdfVectors(
+  new Map(Array.from(corpus, ([id, text]) => [id, tokenize(text)]))
+);
+
+describe("Latent semantic index", () => {
+  it("relates products through co-occurring terms", () => {
+    const index = new LatentSemanticIndex({ dimensions: 2 }).build(vectors);
+
+    expect(index.rank).toBe(2);
+    // Products 2 and 3 only share "portable", but both sit in the computer topic
+    expect(index.similarity(2, 3)).toBeGreaterThan(
+      cosineSimilarity(vectors.get(2), vectors.get(3))
+    );
+    expect(index.similarity(2, 3)).toBeGreaterThan(index.similarity(2, 6));
+    expect(index.similarity(1, 99)).toBeNull();
+  });
+
+  it("projects queries into the product space", () => {
+    const index = new LatentSemanticIndex({ dimensions: 2 }).build(vectors);
+    const results = index.search(vectorize(tokenize("laptop"), idf), 10, 0.2);
+    const ranked = results.map((result) => result.productId);
+
+    // Product 2 never mentions laptops but still outranks the music products
+    expect(ranked.slice(0, 3).sort()).toEqual([1, 2, 3]);
+    expect(ranked).not.toContain(4);
+    expect(index.search(vectorize(tokenize("unknown words"), idf))).toEqual([]);
+  });
+
+  it("reproduces TF-IDF similarity when no dimensions are dropped", () => {
+    const index = new LatentSemanticIndex({ dimensions: 10 }).build(vectors);
+
+    expect(index.rank).toBe(corpus.size);
+    expect(index.similarity(1, 3)).toBeCloseTo(
+      cosineSimilarity(vectors.get(1), vectors.get(3))
+    );
+  });
+
+  it("restores embeddings from the serialized basis", () => {
+    const index = new LatentSemanticIndex({ dimensions: 2 }).build(vectors);
+    const restored = LatentSemanticIndex.fromJSON(
+      JSON.parse(JSON.stringify(index.toJSON())),
+      vectors
+    );
+
+    expect(restored.dimensions).toBe(2);
+    expect(restored.similarity(2, 3)).toBeCloseTo(index.similarity(2, 3));
+  });
+});
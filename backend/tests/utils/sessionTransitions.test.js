@@ -0,0 +1,67 @@
+import { describe, it, expect } from "vitest";
+import SessionTransitionModel from "../../utils/sessionTransitions.js";
+
+const T0 = new Date("2024-06-01T10:00:00Z").getTime();
+const at = (minutes) => new Date(T0 + minutes * 60 * 1000);
+const view = (productId, minutes) => ({
+  productId,
+  type: "view",
+  timestamp: at(minutes),
+});
+
+describe("SessionTransitionModel", () => {
+  const users = [
+    // Listed out of order to check timestamp sorting
+    { interactions: [view(2, 5), view(1, 0), view(3, 10)] },
+    { interactions: [view(1, 0), view(2, 1), view(2, 2)] },
+    // The two-hour gap starts a new session, so 1 -> 4 is not a transition
+    { interactions: [view(1, 0), view(4, 120), view(3, 121)] },
+  ];
+
+  it("splits interactions into timestamp-ordered sessions", () => {
+    const model = new SessionTransitionModel();
+
+    expect(model.splitSessions(users[0].interactions)).toEqual([[1, 2, 3]]);
+    expect(model.splitSessions(users[1].interactions)).toEqual([[1, 2]]);
+    expect(model.splitSessions(users[2].interactions)).toEqual([[1], [4, 3]]);
+  });
+
+  it("estimates next-item probabilities from transition counts", () => {
+    const model = new SessionTransitionModel().build(users);
+
+    expect(model.probability(1, 2)).toBe(1);
+    expect(model.probability(1, 4)).toBe(0);
+    expect(model.probability(2, 3)).toBe(1);
+  });
+
+  it("ranks next items from the whole session and skips seen products", () => {
+    const model = new SessionTransitionModel().build(users);
+
+    expect(model.recommend([1])).toEqual([{ productId: 2, score: 1, from: 1 }]);
+    expect(model.recommend([1, 2]).map((item) => item.productId)).toEqual([3]);
+    expect(model.recommend([2], 10, new Set([3]))).toEqual([]);
+  });
+
+  it("extends sessions incrementally and survives serialization", () => {
+    const model = new SessionTransitionModel().build(users);
+    model.updateInteraction(view(4, 120), view(5, 125));
+    model.updateInteraction(view(5, 125), view(6, 300));
+
+    const restored = SessionTransitionModel.fromJSON(
+      JSON.parse(JSON.stringify(model.toJSON()))
+    );
+
+    expect(restored.probability(4, 5)).toBeCloseTo(0.5);
+    expect(restored.probability(5, 6)).toBe(0);
+  });
+
+  it("only reports the current session while it is still open", () => {
+    const model = new SessionTransitionModel();
+    const interactions = [view(1, 0), view(4, 120), view(3, 121)];
+
+    expect(model.currentSession(interactions, at(130).getTime())).toEqual([
+      4, 3,
+    ]);
+    expect(model.currentSession(interactions, at(300).getTime())).toEqual([]);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import StrategyRegistry, {
+  validateStrategy,
+} from "../../utils/strategyRegistry.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+import { getUserRecommendations } from "../../controllers/recommendationController.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+vi.mock("../../models/Experiment.js");
+
+const echoStrategy = {
+  name: "echo",
+  description: "Returns the product ids in params",
+  params: {
+    productIds: { type: "array", default: [], description: "Products" },
+  },
+  recommend: async (engine, { params, limit }) =>
+    params.productIds
+      .slice(0, limit)
+      .map((product_id) => ({ product_id, similarity_score: 1 })),
+  explain: (engine, recommendation) => [
+    { type: "echo", message: `Echoing ${recommendation.product_id}` },
+  ],
+};
+
+describe("Strategy registry", () => {
+  let dir;
+
+  afterEach(() => {
+    if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    dir = null;
+  });
+
+  it("validates strategies and lists them with their parameters", () => {
+    expect(validateStrategy({ name: "Bad Name", recommend() {} })).toMatch(
+      /name/
+    );
+    expect(validateStrategy({ name: "silent" })).toMatch(/recommend/);
+    expect(
+      validateStrategy({ name: "odd", recommend() {}, explain: "yes" })
+    ).toMatch(/explain/);
+
+    const registry = new StrategyRegistry([echoStrategy]);
+    expect(() => registry.register(echoStrategy)).toThrow(/already/);
+    registry.register(
+      { ...echoStrategy, description: "Replaced" },
+      { replace: true }
+    );
+
+    expect(registry.list()).toEqual([
+      {
+        name: "echo",
+        description: "Replaced",
+        params: echoStrategy.params,
+        cacheable: true,
+        trainable: false,
+      },
+    ]);
+    expect(new RecommendationEngine().strategies.names()).toEqual([
+      "content",
+      "collaborative",
+      "hybrid",
+      "mf",
+      "item_cf",
+      "fallback",
+      "category",
+    ]);
+  });
+
+  it("rejects unknown strategy types listing the registered ones", async () => {
+    const res = { status: vi.fn().mockReturnThis(), json: vi.fn() };
+
+    await getUserRecommendations(
+      { user: { _id: "user1" }, query: { type: "magic" } },
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].message).toMatch(/content, collaborative/);
+  });
+
+  it("serves, explains and trains registered strategies", async () => {
+    const engine = new RecommendationEngine();
+    const train = vi.fn();
+    engine.strategies.register({ ...echoStrategy, train });
+    engine.strategies.register({
+      name: "broken",
+      recommend: async () => [],
+      train: () => {
+        throw new Error("no data");
+      },
+    });
+
+    const recommendations = await engine.recommend("echo", {
+      limit: 2,
+      params: { productIds: [3, 1, 2] },
+    });
+    expect(recommendations.map((rec) => rec.product_id)).toEqual([3, 1]);
+    expect(recommendations[0].reasons[0].message).toBe("Echoing 3");
+    await expect(engine.recommend("missing", {})).rejects.toThrow(/Unknown/);
+
+    // One failing train hook does not stop the others
+    await engine.trainStrategies();
+    expect(train).toHaveBeenCalledWith(engine);
+  });
+
+  it("registers plugins from a directory and skips broken ones", async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "strategies-"));
+    fs.writeFileSync(
+      path.join(dir, "newest.js"),
+      `export default {
+        name: "newest",
+        description: "Highest product ids first",
+        recommend: async (engine, { limit }) =>
+          Array.from(engine.productFeatures.keys())
+            .sort((a, b) => b - a)
+            .slice(0, limit)
+            .map((product_id) => ({ product_id, similarity_score: 1 })),
+      };`
+    );
+    fs.writeFileSync(
+      path.join(dir, "pair.mjs"),
+      `const strategy = (name) => ({ name, recommend: async () => [] });
+      export default [strategy("first"), strategy("second")];`
+    );
+    fs.writeFileSync(
+      path.join(dir, "invalid.js"),
+      `export default { name: "no_recommend" };`
+    );
+    fs.writeFileSync(path.join(dir, "notes.txt"), "not a plugin");
+
+    const engine = new RecommendationEngine();
+    const registered = await engine.loadStrategyPlugins(dir);
+
+    expect(registered).toEqual(["newest", "first", "second"]);
+    expect(engine.strategies.has("no_recommend")).toBe(false);
+
+    engine.productFeatures = new Map([1, 5, 3].map((id) => [id, {}]));
+    const newest = await engine.recommend("newest", { limit: 2 });
+    expect(newest.map((rec) => rec.product_id)).toEqual([5, 3]);
+    expect(await engine.loadStrategyPlugins(undefined)).toEqual([]);
+  });
+});
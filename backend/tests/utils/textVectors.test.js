@@ -0,0 +1,48 @@
+import { describe, it, expect } from "vitest";
+import {
+  tokenize,
+  buildTfIdfVectors,
+  cosineSimilarity,
+} from "../../utils/textVectors.js";
+
+describe("textVectors", () => {
+  it("removes stop words and stems tokens", () => {
+    expect(tokenize("The Running shoes, for runners!")).toEqual([
+      "run",
+      "shoe",
+      "runner",
+    ]);
+  });
+
+  it("produces unit-length vectors", () => {
+    const { vectors } = buildTfIdfVectors(
+      new Map([
+        [1, tokenize("stainless steel water bottle")],
+        [2, tokenize("insulated water bottle")],
+      ])
+    );
+
+    const norm = Math.sqrt(
+      Array.from(vectors.get(1).values()).reduce((sum, w) => sum + w * w, 0)
+    );
+    expect(norm).toBeCloseTo(1);
+  });
+
+  it("scores overlapping documents above unrelated ones", () => {
+    const { vectors } = buildTfIdfVectors(
+      new Map([
+        [1, tokenize("stainless steel water bottle")],
+        [2, tokenize("insulated water bottle for hiking")],
+        [3, tokenize("reflective dog collar")],
+      ])
+    );
+
+    const related = cosineSimilarity(vectors.get(1), vectors.get(2));
+    const unrelated = cosineSimilarity(vectors.get(1), vectors.get(3));
+
+    expect(related).toBeGreaterThan(0);
+    expect(related).toBeLessThan(1);
+    expect(unrelated).toBe(0);
+    expect(cosineSimilarity(vectors.get(1), vectors.get(1))).toBeCloseTo(1);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import User from "../../models/User.js";
+import { RecommendationEngine } from "../../utils/recommender.js";
+
+vi.mock("../../models/User.js");
+vi.mock("../../models/Product.js");
+
+const NOW = new Date("2024-06-01T00:00:00Z").getTime();
+const daysAgo = (days) => new Date(NOW - days * 24 * 60 * 60 * 1000);
+
+describe("Time-decayed interaction weighting", () => {
+  let engine;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    engine = new RecommendationEngine({
+      now: () => NOW,
+      halfLives: { view: 10, purchase: 100 },
+    });
+  });
+
+  it("halves an interaction's weight after one half-life", () => {
+    expect(
+      engine.getDecayedWeight({ type: "view", timestamp: daysAgo(10) })
+    ).toBeCloseTo(0.5);
+    expect(
+      engine.getDecayedWeight({ type: "purchase", timestamp: daysAgo(0) })
+    ).toBe(10);
+  });
+
+  it("builds the user-item matrix from decayed weights", async () => {
+    User.find.mockReturnValue({
+      select: vi.fn().mockResolvedValue([
+        {
+          _id: "user1",
+          interactions: [
+            { productId: 1, type: "view", timestamp: daysAgo(20) },
+            { productId: 1, type: "view", timestamp: daysAgo(0) },
+            { productId: 2, type: "purchase", timestamp: daysAgo(100) },
+          ],
+        },
+      ]),
+    });
+
+    await engine.buildUserItemMatrix();
+
+    const row = engine.userItemMatrix.get("user1");
+    expect(row.get(1)).toBeCloseTo(1.25);
+    expect(row.get(2)).toBeCloseTo(5);
+  });
+
+  it("seeds content-based recommendations with the most current interest", () => {
+    const interactions = [
+      { productId: 1, type: "purchase", timestamp: daysAgo(700) },
+      { productId: 2, type: "view", timestamp: daysAgo(1) },
+    ];
+
+    expect(engine.getSeedProductId(interactions)).toBe(2);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from "vitest";
+import UserSimilarityIndex from "../../utils/userNeighbors.js";
+
+const row = (entries) => new Map(entries);
+
+describe("User similarity index", () => {
+  const matrix = new Map([
+    [
+      "a",
+      row([
+        [1, 5],
+        [2, 3],
+        [3, 1],
+        [4, 2],
+        [5, 4],
+      ]),
+    ],
+    [
+      "b",
+      row([
+        [1, 4],
+        [2, 3],
+        [3, 2],
+        [4, 2],
+        [5, 5],
+      ]),
+    ],
+    // Shares a single product with "a"
+    ["c", row([[3, 5]])],
+    // Shares nothing with "a"
+    ["d", row([[9, 1]])],
+  ]);
+
+  it("scores cosine over full rows with significance weighting", () => {
+    const index = new UserSimilarityIndex();
+    const a = matrix.get("a");
+
+    // A single co-rated product is no longer a perfect match
+    expect(index.similarity(a, matrix.get("c"))).toBeCloseTo(
+      1 / Math.sqrt(55) / 5,
+      10
+    );
+    expect(index.similarity(a, matrix.get("b"))).toBeGreaterThan(0.9);
+    expect(index.similarity(a, matrix.get("d"))).toBe(0);
+  });
+
+  it("only returns users sharing products, best first", () => {
+    const index = new UserSimilarityIndex({ minSimilarity: 0 }).build(matrix);
+
+    const similar = index.findSimilar("a", matrix.get("a"));
+    expect(similar.map((user) => user.userId)).toEqual(["b", "c"]);
+    expect(similar[0].similarity).toBeCloseTo(
+      index.similarity(matrix.get("a"), matrix.get("b")),
+      10
+    );
+    expect(
+      new UserSimilarityIndex().build(matrix).findSimilar("a", matrix.get("a"))
+    ).toHaveLength(1);
+  });
+
+  it("matches a rebuild after incremental updates", () => {
+    const index = new UserSimilarityIndex({ minSimilarity: 0 }).build(matrix);
+    const updated = new Map(
+      Array.from(matrix, ([userId, interactions]) => [
+        userId,
+        new Map(interactions),
+      ])
+    );
+
+    index.setWeight("c", 2, 0, 3);
+    updated.get("c").set(2, 3);
+    index.setWeight("b", 5, 5, 0);
+    updated.get("b").delete(5);
+
+    const rebuilt = new UserSimilarityIndex({ minSimilarity: 0 }).build(
+      updated
+    );
+    const a = updated.get("a");
+    expect(index.findSimilar("a", a)).toEqual(rebuilt.findSimilar("a", a));
+    expect(index.postings.get(5).has("b")).toBe(false);
+  });
+});
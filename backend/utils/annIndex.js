@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import { createRandom } from "./matrixFactorization.js";
+
+// Approximate nearest neighbors by cosine similarity using random-hyperplane
+// locality-sensitive hashing (SimHash). Each of `tables` hash tables keys a
+// vector by the signs of its dot products with `bits` random hyperplanes, so
+// vectors at angle theta collide in a table with probability
+// (1 - theta / pi) ^ bits. A query only scores the vectors sharing a bucket
+// with it in some table, probing buckets one bit away when that yields too
+// few candidates.
+
+// Average bucket size the number of bits per table is chosen for
+const TARGET_BUCKET_SIZE = 32;
+const MAX_BITS = 16;
+
+const dot = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+};
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(dot(vector, vector));
+  return norm > 0 ? vector.map((x) => x / norm) : vector;
+};
+
+// Deterministic random unit vector for a string key, for embedding
+// categorical values without a vocabulary
+export const hashedUnitVector = (key, dimensions) => {
+  const hex = crypto.createHash("md5").update(String(key)).digest("hex");
+  const random = createRandom(parseInt(hex.slice(0, 8), 16));
+  return normalize(Array.from({ length: dimensions }, () => random() - 0.5));
+};
+
+class LshIndex {
+  constructor(options = {}) {
+    this.tables = options.tables || 24;
+    // Fixed bits per table; chosen from the collection size when unset
+    this.fixedBits = options.bits || null;
+    this.seed = options.seed ?? 42;
+
+    this.dimensions = 0;
+    this.bits = 0;
+    this.hyperplanes = [];
+    this.buckets = [];
+    // id -> normalized vector
+    this.vectors = new Map();
+    // id -> bucket key per table
+    this.keys = new Map();
+  }
+
+  get size() {
+    return this.vectors.size;
+  }
+
+  // Index a Map<id, number[]> of equal-length vectors
+  build(vectors) {
+    const [first] = vectors.values();
+    const bits =
+      this.fixedBits ||
+      Math.min(
+        MAX_BITS,
+        Math.max(1, Math.ceil(Math.log2(vectors.size / TARGET_BUCKET_SIZE)))
+      );
+    this.reset(first ? first.length : 0, bits);
+
+    for (const [id, vector] of vectors) this.add(id, vector);
+    return this;
+  }
+
+  reset(dimensions, bits) {
+    this.dimensions = dimensions;
+    this.bits = bits;
+    this.vectors = new Map();
+    this.keys = new Map();
+    this.buckets = Array.from({ length: this.tables }, () => new Map());
+
+    const random = createRandom(this.seed);
+    this.hyperplanes = Array.from({ length: this.tables }, () =>
+      Array.from({ length: bits }, () =>
+        Array.from({ length: dimensions }, () => random() - 0.5)
+      )
+    );
+  }
+
+  // Bucket key of a vector in every table
+  hash(vector) {
+    return this.hyperplanes.map((planes) =>
+      planes.reduce(
+        (key, plane, bit) => (dot(plane, vector) >= 0 ? key | (1 << bit) : key),
+        0
+      )
+    );
+  }
+
+  add(id, vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(
+        `Vector has ${vector.length} dimensions, index expects ${this.dimensions}`
+      );
+    }
+    this.remove(id);
+
+    const normalized = normalize(vector);
+    const keys = this.hash(normalized);
+    keys.forEach((key, table) => {
+      const bucket = this.buckets[table];
+      if (!bucket.has(key)) bucket.set(key, new Set());
+      bucket.get(key).add(id);
+    });
+    this.vectors.set(id, normalized);
+    this.keys.set(id, keys);
+  }
+
+  remove(id) {
+    const keys = this.keys.get(id);
+    if (!keys) return;
+
+    keys.forEach((key, table) => {
+      const bucket = this.buckets[table].get(key);
+      bucket.delete(id);
+      if (bucket.size === 0) this.buckets[table].delete(key);
+    });
+    this.vectors.delete(id);
+    this.keys.delete(id);
+  }
+
+  // Up to `limit` indexed vectors most similar to `vector`, best first, as
+  // { id, score } with exact cosine scores. At least `minCandidates` vectors
+  // are scored when the index and multi-probing allow.
+  query(vector, limit = 10, options = {}) {
+    const { exclude = new Set(), minCandidates = limit } = options;
+    if (this.size === 0 || vector.length !== this.dimensions) return [];
+
+    const normalized = normalize(vector);
+    const keys = this.hash(normalized);
+    const candidates = new Set();
+    const probe = (table, key) => {
+      for (const id of this.buckets[table].get(key) || []) {
+        if (!exclude.has(id)) candidates.add(id);
+      }
+    };
+
+    keys.forEach((key, table) => probe(table, key));
+    for (let bit = 0; bit < this.bits; bit++) {
+      if (candidates.size >= minCandidates) break;
+      keys.forEach((key, table) => probe(table, key ^ (1 << bit)));
+    }
+
+    return Array.from(candidates)
+      .map((id) => ({ id, score: dot(normalized, this.vectors.get(id)) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+export default LshIndex;
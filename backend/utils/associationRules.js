@@ -0,0 +1,200 @@
+// "Frequently bought together" rules mined with Apriori. Each user's
+// purchase and cart_add interactions are grouped into baskets spanning at
+// most `basketWindowMs`; frequent pairs and triples of products across all
+// baskets yield rules {antecedent} -> consequent with the usual measures:
+//
+//   support    = baskets containing the itemset / all baskets
+//   confidence = support(itemset) / support(antecedent)
+//   lift       = confidence / support(consequent)
+
+const BASKET_TYPES = new Set(["purchase", "cart_add"]);
+const MAX_ITEMSET_SIZE = 3;
+
+const itemsetKey = (items) => [...items].sort((a, b) => a - b).join(",");
+
+// All k-item combinations of a sorted array
+const combinations = (items, k, start = 0, prefix = []) => {
+  if (prefix.length === k) return [prefix];
+  const result = [];
+  for (let i = start; i <= items.length - (k - prefix.length); i++) {
+    result.push(...combinations(items, k, i + 1, [...prefix, items[i]]));
+  }
+  return result;
+};
+
+class AssociationRuleMiner {
+  constructor(options = {}) {
+    this.basketWindowMs = options.basketWindowMs || 24 * 60 * 60 * 1000;
+    // Minimum number of baskets an itemset must appear in
+    this.minSupportCount = options.minSupportCount || 2;
+    this.minConfidence = options.minConfidence ?? 0.1;
+    this.minLift = options.minLift ?? 1;
+
+    this.basketCount = 0;
+    this.itemsets = new Map();
+    this.rules = new Map();
+  }
+
+  // Mine rules from users' interaction lists
+  build(users) {
+    const baskets = users.flatMap((user) =>
+      this.buildBaskets(user.interactions)
+    );
+    this.basketCount = baskets.length;
+    this.itemsets = this.findFrequentItemsets(baskets);
+    this.rules = this.generateRules();
+    return this;
+  }
+
+  // Split a user's purchase and cart interactions into time-windowed baskets
+  buildBaskets(interactions = []) {
+    const ordered = interactions
+      .filter((interaction) => BASKET_TYPES.has(interaction.type))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const baskets = [];
+    let basket = null;
+    let basketStart = null;
+
+    for (const interaction of ordered) {
+      const time = new Date(interaction.timestamp).getTime();
+      if (!basket || time - basketStart > this.basketWindowMs) {
+        basket = new Set();
+        basketStart = time;
+        baskets.push(basket);
+      }
+      basket.add(interaction.productId);
+    }
+
+    return baskets.map((items) => [...items].sort((a, b) => a - b));
+  }
+
+  // Apriori: count k-itemsets only when every (k-1)-subset is frequent.
+  // Returns Map<key, { items, count }> of frequent itemsets of all sizes.
+  findFrequentItemsets(baskets) {
+    const frequent = new Map();
+    let previousLevel = null;
+    let candidateBaskets = baskets;
+
+    for (let k = 1; k <= MAX_ITEMSET_SIZE; k++) {
+      const counts = new Map();
+
+      for (const basket of candidateBaskets) {
+        for (const items of combinations(basket, k)) {
+          if (
+            previousLevel &&
+            !combinations(items, k - 1).every((subset) =>
+              previousLevel.has(itemsetKey(subset))
+            )
+          ) {
+            continue;
+          }
+          const key = itemsetKey(items);
+          if (!counts.has(key)) counts.set(key, { items, count: 0 });
+          counts.get(key).count++;
+        }
+      }
+
+      previousLevel = new Set();
+      const frequentItems = new Set();
+      for (const [key, itemset] of counts) {
+        if (itemset.count >= this.minSupportCount) {
+          frequent.set(key, itemset);
+          previousLevel.add(key);
+          for (const id of itemset.items) frequentItems.add(id);
+        }
+      }
+      if (previousLevel.size === 0) break;
+
+      // Only products in a frequent k-itemset can be in a frequent
+      // (k+1)-itemset, so drop the rest before enumerating combinations
+      candidateBaskets = candidateBaskets
+        .map((basket) => basket.filter((id) => frequentItems.has(id)))
+        .filter((basket) => basket.length > k);
+    }
+
+    return frequent;
+  }
+
+  support(items) {
+    if (this.basketCount === 0) return 0;
+    return (
+      (this.itemsets.get(itemsetKey(items))?.count || 0) / this.basketCount
+    );
+  }
+
+  // Rules with a single-product consequent, indexed by each antecedent product
+  generateRules() {
+    const rules = new Map();
+
+    for (const { items } of this.itemsets.values()) {
+      if (items.length < 2) continue;
+
+      const itemsetSupport = this.support(items);
+      for (const consequent of items) {
+        const antecedent = items.filter((id) => id !== consequent);
+        const confidence = itemsetSupport / this.support(antecedent);
+        const lift = confidence / this.support([consequent]);
+        if (confidence < this.minConfidence || lift < this.minLift) continue;
+
+        const rule = {
+          antecedent,
+          consequent,
+          support: itemsetSupport,
+          confidence,
+          lift,
+        };
+        for (const productId of antecedent) {
+          if (!rules.has(productId)) rules.set(productId, []);
+          rules.get(productId).push(rule);
+        }
+      }
+    }
+
+    for (const list of rules.values()) {
+      list.sort((a, b) => b.confidence - a.confidence || b.lift - a.lift);
+    }
+
+    return rules;
+  }
+
+  // Rules whose antecedent includes the product, strongest first
+  getRules(productId) {
+    return this.rules.get(productId) || [];
+  }
+
+  // Frequent triples containing the product, most common first
+  getBundles(productId) {
+    return Array.from(this.itemsets.values())
+      .filter(
+        ({ items }) =>
+          items.length === MAX_ITEMSET_SIZE && items.includes(productId)
+      )
+      .map(({ items }) => ({ productIds: items, support: this.support(items) }))
+      .sort((a, b) => b.support - a.support);
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      basketWindowMs: this.basketWindowMs,
+      minSupportCount: this.minSupportCount,
+      minConfidence: this.minConfidence,
+      minLift: this.minLift,
+      basketCount: this.basketCount,
+      itemsets: Array.from(this.itemsets.values()),
+    };
+  }
+
+  static fromJSON(data) {
+    const miner = new AssociationRuleMiner(data);
+    miner.basketCount = data.basketCount;
+    miner.itemsets = new Map(
+      data.itemsets.map((itemset) => [itemsetKey(itemset.items), itemset])
+    );
+    miner.rules = miner.generateRules();
+    return miner;
+  }
+}
+
+export default AssociationRuleMiner;
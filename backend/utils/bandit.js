@@ -0,0 +1,201 @@
+// Thompson sampling over hybrid blend settings. Each arm is a set of
+// `getHybridRecommendations` options; users are split into segments by how
+// much they have interacted, and every segment learns its own arm statistics.
+//
+// Serving a list to a user is a pull of the chosen arm. Engaging with one of
+// the served products within the attribution window earns a reward in [0, 1]
+// by interaction type; only the best outcome per served list is credited.
+// An arm's posterior is Beta(1 + reward, 1 + pulls - reward).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HYBRID_ARMS = [
+  {
+    key: "balanced",
+    params: {
+      candidateFraction: 0.7,
+      contentWeight: 0.6,
+      collaborativeWeight: 0.4,
+    },
+  },
+  {
+    key: "content_heavy",
+    params: {
+      candidateFraction: 0.7,
+      contentWeight: 0.8,
+      collaborativeWeight: 0.2,
+    },
+  },
+  {
+    key: "collaborative_heavy",
+    params: {
+      candidateFraction: 0.7,
+      contentWeight: 0.3,
+      collaborativeWeight: 0.7,
+    },
+  },
+  {
+    key: "wide_pool",
+    params: {
+      candidateFraction: 1,
+      contentWeight: 0.5,
+      collaborativeWeight: 0.5,
+    },
+  },
+];
+
+// Reward for engaging with a recommended product, by interaction type
+export const REWARD_VALUES = {
+  view: 0.25,
+  like: 0.5,
+  cart_add: 0.75,
+  purchase: 1,
+};
+
+export const SEGMENTS = ["new", "casual", "engaged"];
+
+// Segment a user by the number of distinct products they interacted with
+export const userSegment = (productCount) => {
+  if (productCount < 5) return "new";
+  if (productCount < 20) return "casual";
+  return "engaged";
+};
+
+// Standard normal sample (Box-Muller)
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Gamma(shape, 1) sample (Marsaglia-Tsang)
+const sampleGamma = (shape, random) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+};
+
+export const sampleBeta = (alpha, beta, random = Math.random) => {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+};
+
+class ThompsonBandit {
+  constructor(arms = HYBRID_ARMS, options = {}) {
+    this.arms = arms;
+    // Injectable so arm selection can be made deterministic in tests
+    this.random = options.random || Math.random;
+    this.attributionWindowMs = options.attributionWindowMs || DAY_MS;
+
+    // segment -> armKey -> { pulls, reward }
+    this.stats = new Map();
+    // userId -> the list last served to the user
+    this.impressions = new Map();
+  }
+
+  getStats(segment, armKey) {
+    if (!this.stats.has(segment)) this.stats.set(segment, new Map());
+    const segmentStats = this.stats.get(segment);
+    if (!segmentStats.has(armKey)) {
+      segmentStats.set(armKey, { pulls: 0, reward: 0 });
+    }
+    return segmentStats.get(armKey);
+  }
+
+  // Pick the arm whose posterior sample is highest
+  select(segment) {
+    let best = null;
+    let bestSample = -Infinity;
+
+    for (const arm of this.arms) {
+      const { pulls, reward } = this.getStats(segment, arm.key);
+      const sample = sampleBeta(1 + reward, 1 + pulls - reward, this.random);
+      if (sample > bestSample) {
+        best = arm;
+        bestSample = sample;
+      }
+    }
+
+    return best;
+  }
+
+  // Count a pull and remember what was served for reward attribution.
+  // Returns the change to persist.
+  recordImpression(userId, segment, armKey, productIds, now = Date.now()) {
+    this.getStats(segment, armKey).pulls += 1;
+    this.impressions.set(userId, {
+      segment,
+      arm: armKey,
+      productIds: new Set(productIds),
+      servedAt: now,
+      credited: 0,
+    });
+    return { segment, arm: armKey, pulls: 1, reward: 0 };
+  }
+
+  // Credit the arm that served the product, if the interaction improves on
+  // the list's best outcome so far. Returns the change to persist, or null.
+  recordReward(userId, productId, interactionType, now = Date.now()) {
+    const impression = this.impressions.get(userId);
+    const value = REWARD_VALUES[interactionType] || 0;
+    if (!impression || !impression.productIds.has(productId)) return null;
+    if (now - impression.servedAt > this.attributionWindowMs) return null;
+    if (value <= impression.credited) return null;
+
+    const delta = value - impression.credited;
+    impression.credited = value;
+    this.getStats(impression.segment, impression.arm).reward += delta;
+    return {
+      segment: impression.segment,
+      arm: impression.arm,
+      pulls: 0,
+      reward: delta,
+    };
+  }
+
+  // Replace statistics with persisted { segment, arm, pulls, reward } records
+  load(records) {
+    this.stats = new Map();
+    for (const { segment, arm, pulls, reward } of records) {
+      Object.assign(this.getStats(segment, arm), { pulls, reward });
+    }
+  }
+
+  // Per-segment arm statistics with posterior means, best arm first
+  summary() {
+    return SEGMENTS.map((segment) => ({
+      segment,
+      arms: this.arms
+        .map(({ key, params }) => {
+          const { pulls, reward } = this.getStats(segment, key);
+          return {
+            arm: key,
+            params,
+            pulls,
+            reward,
+            alpha: 1 + reward,
+            beta: 1 + pulls - reward,
+            expectedReward: (1 + reward) / (2 + pulls),
+          };
+        })
+        .sort((a, b) => b.expectedReward - a.expectedReward),
+    }));
+  }
+}
+
+export default ThompsonBandit;
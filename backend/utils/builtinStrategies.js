@@ -0,0 +1,131 @@
+import Product from "../models/Product.js";
+import { favoriteCategory } from "./explanations.js";
+
+// Strategies registered with every RecommendationEngine. The engine trains
+// the models these rely on itself, so none of them has a train hook.
+
+export const contentStrategy = {
+  name: "content",
+  description:
+    "Products similar to the one the user engaged with most recently and strongly",
+  recommend: (engine, { userId, limit }) =>
+    engine.getContentBasedRecommendations(userId, null, limit),
+};
+
+export const collaborativeStrategy = {
+  name: "collaborative",
+  description: "Products engaged with by users with similar interactions",
+  recommend: (engine, { userId, limit }) =>
+    engine.getCollaborativeRecommendations(userId, limit),
+};
+
+export const hybridStrategy = {
+  name: "hybrid",
+  description: "Weighted blend of content-based and collaborative candidates",
+  params: {
+    contentWeight: {
+      type: "number",
+      default: 0.6,
+      description: "Weight of content-based scores",
+    },
+    collaborativeWeight: {
+      type: "number",
+      default: 0.4,
+      description: "Weight of collaborative scores",
+    },
+    candidateFraction: {
+      type: "number",
+      default: 0.7,
+      description: "Candidates taken from each source, as a share of limit",
+    },
+  },
+  recommend: (engine, { userId, limit, params }) =>
+    engine.getHybridRecommendations(userId, limit, params),
+};
+
+export const matrixFactorizationStrategy = {
+  name: "mf",
+  description: "Unseen products ranked by ALS matrix factorization",
+  recommend: (engine, { userId, limit }) =>
+    engine.getMatrixFactorizationRecommendations(userId, limit),
+};
+
+export const itemBasedStrategy = {
+  name: "item_cf",
+  description: "Item-item neighbors of the products the user engaged with",
+  recommend: (engine, { userId, limit }) =>
+    engine.getItemBasedRecommendations(userId, limit),
+};
+
+export const fallbackStrategy = {
+  name: "fallback",
+  description: "Best products by Bayesian-averaged rating",
+  params: {
+    category: {
+      type: "string",
+      default: null,
+      description: "Only recommend products in this category",
+    },
+  },
+  recommend: (engine, { userId, limit, params }) =>
+    engine.getFallbackRecommendations(limit, userId, {
+      category: params.category,
+    }),
+};
+
+// Best-rated products in the user's favorite categories and price range
+export const categoryStrategy = {
+  name: "category",
+  description:
+    "Best-rated products in the user's favorite categories and price range",
+  // Results depend on preferences, which do not invalidate cached lists
+  cacheable: false,
+  async recommend(engine, { userId, limit, preferences }) {
+    const favoriteCategories = preferences?.favoriteCategories || [];
+    const priceRange = preferences?.priceRange;
+    if (favoriteCategories.length === 0) return [];
+
+    // Skip hidden and out-of-stock products
+    const filter = {
+      category: { $in: favoriteCategories },
+      quantity_in_stock: { $gt: 0 },
+      product_id: { $nin: Array.from(engine.getHiddenProducts(userId)) },
+    };
+
+    if (
+      priceRange &&
+      priceRange.min !== undefined &&
+      priceRange.max !== undefined
+    ) {
+      filter.price = {
+        $gte: priceRange.min,
+        $lte: priceRange.max,
+      };
+    }
+
+    const products = await Product.find(filter)
+      .sort({ rating: -1, view_count: -1, is_featured: -1 })
+      .limit(limit);
+
+    return engine.applyAvailability(
+      products.map((product) => ({
+        ...product.toObject(),
+        similarity_score: product.rating / 5,
+        recommendation_type: "category_based",
+      }))
+    );
+  },
+  explain: (engine, recommendation) => [
+    favoriteCategory(recommendation.category),
+  ],
+};
+
+export const BUILTIN_STRATEGIES = [
+  contentStrategy,
+  collaborativeStrategy,
+  hybridStrategy,
+  matrixFactorizationStrategy,
+  itemBasedStrategy,
+  fallbackStrategy,
+  categoryStrategy,
+];
@@ -0,0 +1,154 @@
+import AssociationRuleMiner from "./associationRules.js";
+
+// Complementary products across subcategories. Purchase and cart baskets
+// (as in the association rules) are reduced to the set of subcategories
+// they contain; subcategory pairs bought together more often than chance
+// are complements of each other:
+//
+//   confidence(a -> b) = baskets with a and b / baskets with a
+//   lift(a -> b)       = confidence(a -> b) / share of baskets with b
+//
+// Admins can add complements by hand with complement rules: products
+// matching the rule's source (a product id or a subcategory) are
+// complemented by its targets (product ids or subcategories).
+
+// Whether a rule source or target refers to exactly one product or
+// subcategory
+const isReference = (reference) =>
+  Boolean(reference) &&
+  (reference.productId !== undefined && reference.productId !== null) !==
+    Boolean(reference.subcategory);
+
+export const validateComplementRule = ({ source, targets }) => {
+  if (!isReference(source)) {
+    return "Rule source needs either a productId or a subcategory";
+  }
+  if (!Array.isArray(targets) || targets.length === 0) {
+    return "Rule needs at least one target";
+  }
+  if (!targets.every(isReference)) {
+    return "Each rule target needs either a productId or a subcategory";
+  }
+  return null;
+};
+
+// Whether a complement rule applies to a product
+export const matchesComplementRule = (rule, product) =>
+  rule.active !== false &&
+  (rule.source.productId === product.product_id ||
+    (Boolean(rule.source.subcategory) &&
+      rule.source.subcategory === product.subcategory));
+
+class ComplementModel {
+  constructor(options = {}) {
+    this.basketWindowMs = options.basketWindowMs || 24 * 60 * 60 * 1000;
+    // Minimum number of baskets a subcategory pair must appear in
+    this.minSupportCount = options.minSupportCount || 2;
+    this.minLift = options.minLift ?? 1;
+
+    this.basketCount = 0;
+    // subcategory -> baskets containing it
+    this.subcategoryCounts = new Map();
+    // subcategory -> Map<other subcategory, baskets containing both>
+    this.pairCounts = new Map();
+    this.complements = new Map();
+  }
+
+  // Learn from users' interaction lists; `getSubcategory(productId)` maps
+  // catalog products to their subcategory
+  build(users, getSubcategory) {
+    const miner = new AssociationRuleMiner({
+      basketWindowMs: this.basketWindowMs,
+    });
+    this.basketCount = 0;
+    this.subcategoryCounts = new Map();
+    this.pairCounts = new Map();
+
+    for (const user of users) {
+      for (const basket of miner.buildBaskets(user.interactions)) {
+        const subcategories = [
+          ...new Set(basket.map(getSubcategory).filter(Boolean)),
+        ];
+        if (subcategories.length === 0) continue;
+
+        this.basketCount++;
+        for (const a of subcategories) {
+          this.subcategoryCounts.set(
+            a,
+            (this.subcategoryCounts.get(a) || 0) + 1
+          );
+          if (!this.pairCounts.has(a)) this.pairCounts.set(a, new Map());
+          const pairs = this.pairCounts.get(a);
+          for (const b of subcategories) {
+            if (a !== b) pairs.set(b, (pairs.get(b) || 0) + 1);
+          }
+        }
+      }
+    }
+
+    this.complements = this.rankComplements();
+    return this;
+  }
+
+  rankComplements() {
+    const complements = new Map();
+
+    for (const [a, pairs] of this.pairCounts) {
+      const ranked = [];
+      for (const [b, count] of pairs) {
+        if (count < this.minSupportCount) continue;
+        const confidence = count / this.subcategoryCounts.get(a);
+        const lift =
+          confidence / (this.subcategoryCounts.get(b) / this.basketCount);
+        if (lift < this.minLift) continue;
+        ranked.push({
+          subcategory: b,
+          support: count / this.basketCount,
+          confidence,
+          lift,
+        });
+      }
+      if (ranked.length > 0) {
+        complements.set(
+          a,
+          ranked.sort((x, y) => y.confidence - x.confidence || y.lift - x.lift)
+        );
+      }
+    }
+
+    return complements;
+  }
+
+  // Subcategories complementing the given one, strongest first
+  getComplements(subcategory) {
+    return this.complements.get(subcategory) || [];
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      basketWindowMs: this.basketWindowMs,
+      minSupportCount: this.minSupportCount,
+      minLift: this.minLift,
+      basketCount: this.basketCount,
+      subcategoryCounts: Array.from(this.subcategoryCounts.entries()),
+      pairCounts: Array.from(this.pairCounts.entries()).map(([a, pairs]) => [
+        a,
+        Array.from(pairs.entries()),
+      ]),
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new ComplementModel(data);
+    model.basketCount = data.basketCount;
+    model.subcategoryCounts = new Map(data.subcategoryCounts);
+    model.pairCounts = new Map(
+      data.pairCounts.map(([a, pairs]) => [a, new Map(pairs)])
+    );
+    model.complements = model.rankComplements();
+    return model;
+  }
+}
+
+export default ComplementModel;
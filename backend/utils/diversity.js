@@ -0,0 +1,68 @@
+// Diversity re-ranking for recommendation lists. `similarity(a, b)` compares
+// two recommendation items and returns a value in [0, 1].
+
+// How many candidates to score per returned item when re-ranking
+export const DIVERSITY_CANDIDATE_FACTOR = 3;
+
+const relevanceOf = (item) => item.combined_score ?? item.similarity_score ?? 0;
+
+// Maximal Marginal Relevance: greedily pick the item that best trades off
+// its own relevance against its similarity to what is already selected.
+// diversity = 0 keeps the relevance order; 1 maximizes dissimilarity.
+export const mmrRerank = (items, similarity, diversity = 0, limit = 10) => {
+  if (diversity <= 0 || items.length <= 1) {
+    return items.slice(0, limit);
+  }
+
+  const lambda = 1 - Math.min(diversity, 1);
+  const maxRelevance = Math.max(...items.map(relevanceOf), 0);
+  const normalize = (item) =>
+    maxRelevance > 0 ? relevanceOf(item) / maxRelevance : 0;
+
+  const remaining = [...items];
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = selected.reduce(
+        (max, item) => Math.max(max, similarity(candidate, item)),
+        0
+      );
+      const score = lambda * normalize(candidate) - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        bestScore = score;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+};
+
+// One minus the mean pairwise similarity of a list (1 = fully diverse)
+export const intraListDiversity = (items, similarity) => {
+  if (items.length < 2) return 0;
+
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      total += similarity(items[i], items[j]);
+      pairs += 1;
+    }
+  }
+
+  return 1 - total / pairs;
+};
+
+// Parse a diversity query value into [0, 1]
+export const parseDiversity = (value) => {
+  const diversity = parseFloat(value);
+  if (Number.isNaN(diversity)) return 0;
+  return Math.min(Math.max(diversity, 0), 1);
+};
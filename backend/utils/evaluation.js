@@ -0,0 +1,106 @@
+// Ranking metrics for offline recommendation evaluation. `recommended` is an
+// ordered array of product ids and `relevant` a Set of held-out product ids.
+
+export const precisionAtK = (recommended, relevant, k) => {
+  if (k === 0) return 0;
+  const hits = recommended.slice(0, k).filter((id) => relevant.has(id)).length;
+  return hits / k;
+};
+
+export const recallAtK = (recommended, relevant, k) => {
+  if (relevant.size === 0) return 0;
+  const hits = recommended.slice(0, k).filter((id) => relevant.has(id)).length;
+  return hits / relevant.size;
+};
+
+// Average precision at k; the mean of this across users is MAP@k
+export const averagePrecisionAtK = (recommended, relevant, k) => {
+  if (relevant.size === 0) return 0;
+
+  let hits = 0;
+  let sum = 0;
+  recommended.slice(0, k).forEach((id, index) => {
+    if (relevant.has(id)) {
+      hits += 1;
+      sum += hits / (index + 1);
+    }
+  });
+
+  return sum / Math.min(relevant.size, k);
+};
+
+// Normalized discounted cumulative gain with binary relevance
+export const ndcgAtK = (recommended, relevant, k) => {
+  if (relevant.size === 0) return 0;
+
+  let dcg = 0;
+  recommended.slice(0, k).forEach((id, index) => {
+    if (relevant.has(id)) dcg += 1 / Math.log2(index + 2);
+  });
+
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(relevant.size, k); index++) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return dcg / idealDcg;
+};
+
+// Share of the catalog that appears in at least one recommendation list
+export const catalogCoverage = (recommendationLists, catalogSize) => {
+  if (catalogSize === 0) return 0;
+  const recommended = new Set(recommendationLists.flat());
+  return recommended.size / catalogSize;
+};
+
+// Mean self-information (-log2 popularity) of recommended items. Popularity
+// is the share of training users who interacted with the item, smoothed so
+// never-seen items stay finite.
+export const novelty = (recommendationLists, itemUserCounts, userCount) => {
+  let total = 0;
+  let count = 0;
+
+  for (const list of recommendationLists) {
+    for (const id of list) {
+      const popularity = ((itemUserCounts.get(id) || 0) + 1) / (userCount + 1);
+      total += -Math.log2(popularity);
+      count += 1;
+    }
+  }
+
+  return count > 0 ? total / count : 0;
+};
+
+// Split interactions at the timestamp below which `1 - testRatio` of all
+// interactions fall. Returns Map<userId, interactions[]> for each side.
+export const timeBasedSplit = (users, testRatio = 0.2) => {
+  const timestamps = users
+    .flatMap((user) => user.interactions)
+    .map((interaction) => new Date(interaction.timestamp).getTime())
+    .sort((a, b) => a - b);
+
+  if (timestamps.length === 0) {
+    return { cutoff: null, train: new Map(), test: new Map() };
+  }
+
+  const cutoffIndex = Math.min(
+    timestamps.length - 1,
+    Math.floor(timestamps.length * (1 - testRatio))
+  );
+  const cutoff = timestamps[cutoffIndex];
+
+  const train = new Map();
+  const test = new Map();
+
+  for (const user of users) {
+    const userId = user._id.toString();
+    for (const interaction of user.interactions) {
+      const side =
+        new Date(interaction.timestamp).getTime() < cutoff ? train : test;
+      if (!side.has(userId)) side.set(userId, []);
+      side.get(userId).push(interaction);
+    }
+  }
+
+  return { cutoff, train, test };
+};
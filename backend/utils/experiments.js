@@ -0,0 +1,148 @@
+import crypto from "crypto";
+
+export const EXPERIMENT_STATUSES = ["draft", "running", "paused", "completed"];
+
+// Interactions counted as downstream outcomes of a recommendation
+export const OUTCOME_TYPES = ["like", "cart_add", "purchase"];
+
+// Map a string to a stable number in [0, 1)
+export const hashToUnit = (value) => {
+  const hex = crypto.createHash("md5").update(value).digest("hex");
+  return parseInt(hex.slice(0, 8), 16) / 0x100000000;
+};
+
+// Deterministically bucket a user into one of the experiment's variants.
+// Hashing is salted with the experiment key so assignments are independent
+// across experiments. Returns null when the user is outside the allocation.
+export const assignVariant = (experiment, userId) => {
+  const variants = experiment.variants || [];
+  const totalWeight = variants.reduce((sum, v) => sum + (v.weight ?? 1), 0);
+  if (variants.length === 0 || totalWeight <= 0) return null;
+
+  const allocation = experiment.trafficAllocation ?? 1;
+  const bucket = hashToUnit(`${experiment.key}:${userId}`);
+  if (bucket >= allocation) return null;
+
+  // Rescale the bucket within the allocated range onto variant weights
+  const position = (bucket / allocation) * totalWeight;
+  let cumulative = 0;
+  for (const variant of variants) {
+    cumulative += variant.weight ?? 1;
+    if (position < cumulative) return variant;
+  }
+
+  return variants[variants.length - 1];
+};
+
+// Validate an experiment payload against the names of the strategies
+// variants may select, returning an error message or null. Pass null
+// strategies to leave already stored variant strategies unchecked.
+export const validateExperiment = (
+  { key, name, status, trafficAllocation, variants },
+  strategies
+) => {
+  if (!key || !name) {
+    return "Experiment key and name are required";
+  }
+
+  if (status !== undefined && !EXPERIMENT_STATUSES.includes(status)) {
+    return `Experiment status must be one of: ${EXPERIMENT_STATUSES.join(
+      ", "
+    )}`;
+  }
+
+  if (
+    trafficAllocation !== undefined &&
+    !(
+      typeof trafficAllocation === "number" &&
+      trafficAllocation >= 0 &&
+      trafficAllocation <= 1
+    )
+  ) {
+    return "Traffic allocation must be a number between 0 and 1";
+  }
+
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return "At least one variant is required";
+  }
+
+  const keys = new Set();
+  for (const variant of variants) {
+    if (!variant.key) {
+      return "Every variant needs a key";
+    }
+    if (keys.has(variant.key)) {
+      return `Duplicate variant key: ${variant.key}`;
+    }
+    keys.add(variant.key);
+
+    if (
+      variant.weight !== undefined &&
+      !(typeof variant.weight === "number" && variant.weight >= 0)
+    ) {
+      return `Variant ${variant.key} weight must be a number of at least 0`;
+    }
+
+    if (strategies && !strategies.includes(variant.strategy)) {
+      return `Variant strategy must be one of: ${strategies.join(", ")}`;
+    }
+  }
+
+  return null;
+};
+
+// Aggregate downstream interactions per variant for every bucketed user.
+// All enrolled users are counted whether or not they requested
+// recommendations, i.e. an intent-to-treat comparison.
+export const aggregateExperimentResults = (
+  experiment,
+  users,
+  now = new Date()
+) => {
+  const start = experiment.startDate ? new Date(experiment.startDate) : null;
+  const end = experiment.endDate ? new Date(experiment.endDate) : now;
+
+  const results = new Map(
+    experiment.variants.map((variant) => [
+      variant.key,
+      {
+        variant: variant.key,
+        strategy: variant.strategy,
+        users: 0,
+        activeUsers: 0,
+        interactions: Object.fromEntries(OUTCOME_TYPES.map((t) => [t, 0])),
+      },
+    ])
+  );
+
+  for (const user of users) {
+    const variant = assignVariant(experiment, user._id.toString());
+    if (!variant) continue;
+
+    const result = results.get(variant.key);
+    result.users += 1;
+
+    let active = false;
+    for (const interaction of user.interactions) {
+      if (!OUTCOME_TYPES.includes(interaction.type)) continue;
+
+      const timestamp = new Date(interaction.timestamp);
+      if ((start && timestamp < start) || timestamp > end) continue;
+
+      result.interactions[interaction.type] += 1;
+      active = true;
+    }
+    if (active) result.activeUsers += 1;
+  }
+
+  return Array.from(results.values()).map((result) => ({
+    ...result,
+    conversionRate: result.users > 0 ? result.activeUsers / result.users : 0,
+    interactionsPerUser: Object.fromEntries(
+      OUTCOME_TYPES.map((type) => [
+        type,
+        result.users > 0 ? result.interactions[type] / result.users : 0,
+      ])
+    ),
+  }));
+};
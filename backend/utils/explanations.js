@@ -0,0 +1,133 @@
+// Structured, human-readable reasons attached to recommendations. Each
+// reason has a machine-readable `type`, the facts it is built from and a
+// display `message`. Lists are ordered strongest reason first.
+
+const TRENDING_WINDOW_LABELS = {
+  "24h": "24 hours",
+  "7d": "7 days",
+  "30d": "30 days",
+};
+
+const INTERACTION_VERBS = {
+  view: "viewed",
+  like: "liked",
+  cart_add: "added",
+  purchase: "bought",
+};
+
+export const becauseYouInteracted = (product, interactionType) => ({
+  type: "because_you_interacted",
+  productId: product.product_id,
+  productName: product.product_name,
+  interactionType,
+  message: `Because you ${INTERACTION_VERBS[interactionType] || "viewed"} ${
+    product.product_name
+  }`,
+});
+
+export const similarToProduct = (product) => ({
+  type: "similar_product",
+  productId: product.product_id,
+  productName: product.product_name,
+  message: `Similar to ${product.product_name}`,
+});
+
+export const sameSubcategory = (product) => ({
+  type: "same_subcategory",
+  productId: product.product_id,
+  subcategory: product.subcategory,
+  message: `Same subcategory as ${product.product_name}`,
+});
+
+export const sameManufacturer = (product) => ({
+  type: "same_manufacturer",
+  productId: product.product_id,
+  manufacturer: product.manufacturer,
+  message: `Also made by ${product.manufacturer}`,
+});
+
+export const similarShoppers = (count) => ({
+  type: "similar_users",
+  count,
+  message:
+    count === 1
+      ? "Popular with a shopper similar to you"
+      : `Popular with ${count} shoppers similar to you`,
+});
+
+export const oftenChosenWith = (product) => ({
+  type: "co_interacted",
+  productId: product.product_id,
+  productName: product.product_name,
+  message: `Often chosen together with ${product.product_name}`,
+});
+
+export const pairsWellWith = (product) => ({
+  type: "complement",
+  productId: product.product_id,
+  productName: product.product_name,
+  message: `Pairs well with ${product.product_name}`,
+});
+
+export const boughtTogether = (products) => ({
+  type: "bought_together",
+  productIds: products.map((product) => product.product_id),
+  message: `Frequently bought together with ${products
+    .map((product) => product.product_name)
+    .join(" and ")}`,
+});
+
+export const viewedNext = (product) => ({
+  type: "viewed_next",
+  productId: product.product_id,
+  productName: product.product_name,
+  message: `Shoppers often view this next after ${product.product_name}`,
+});
+
+export const tasteProfile = () => ({
+  type: "taste_profile",
+  message: "Matches your taste profile",
+});
+
+export const favoriteCategory = (category) => ({
+  type: "favorite_category",
+  category,
+  message: `In your favorite category ${category}`,
+});
+
+export const trendingNow = (window) => ({
+  type: "trending",
+  window,
+  message: `Trending in the last ${TRENDING_WINDOW_LABELS[window] || window}`,
+});
+
+export const inYourPriceRange = (category, typicalPrice) => ({
+  type: "price_fit",
+  category,
+  typicalPrice,
+  message: `Close to what you usually spend on ${category}`,
+});
+
+export const topRated = (rating) => ({
+  type: "top_rated",
+  rating,
+  message: "Highly rated by shoppers",
+});
+
+// Concatenate reason lists, dropping repeats of the same reason
+export const mergeReasons = (...lists) => {
+  const seen = new Set();
+  const merged = [];
+
+  for (const reason of lists.flat()) {
+    if (!reason) continue;
+    const key = `${reason.type}:${reason.productId ?? ""}:${
+      reason.category ?? ""
+    }`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(reason);
+  }
+
+  return merged;
+};
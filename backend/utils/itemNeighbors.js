@@ -0,0 +1,184 @@
+// Item-to-item co-occurrence similarity with a precomputed top-N neighbor
+// list per product. Similarity is the cosine between item columns of the
+// user-item matrix; raw dot products and norms are kept so single
+// interactions can be applied incrementally without a full rebuild.
+class ItemNeighborIndex {
+  constructor(options = {}) {
+    this.neighborLimit = options.neighborLimit || 20;
+    this.minSimilarity = options.minSimilarity ?? 0.01;
+
+    this.dotProducts = new Map();
+    this.squaredNorms = new Map();
+    this.neighbors = new Map();
+  }
+
+  // Build the index from a Map<userId, Map<productId, weight>>
+  build(userItemMatrix) {
+    this.dotProducts = new Map();
+    this.squaredNorms = new Map();
+    this.neighbors = new Map();
+
+    for (const interactions of userItemMatrix.values()) {
+      const items = Array.from(interactions.entries());
+
+      for (let i = 0; i < items.length; i++) {
+        const [productA, weightA] = items[i];
+        this.addToNorm(productA, weightA * weightA);
+
+        for (let j = i + 1; j < items.length; j++) {
+          const [productB, weightB] = items[j];
+          this.addToDot(productA, productB, weightA * weightB);
+        }
+      }
+    }
+
+    for (const productId of this.squaredNorms.keys()) {
+      this.refreshNeighbors(productId);
+    }
+
+    return this;
+  }
+
+  addToNorm(productId, amount) {
+    this.squaredNorms.set(
+      productId,
+      (this.squaredNorms.get(productId) || 0) + amount
+    );
+  }
+
+  addToDot(productA, productB, amount) {
+    if (amount === 0) return;
+
+    for (const [from, to] of [
+      [productA, productB],
+      [productB, productA],
+    ]) {
+      if (!this.dotProducts.has(from)) this.dotProducts.set(from, new Map());
+      const row = this.dotProducts.get(from);
+      row.set(to, (row.get(to) || 0) + amount);
+    }
+  }
+
+  similarity(productA, productB) {
+    const dot = this.dotProducts.get(productA)?.get(productB) || 0;
+    const normA = this.squaredNorms.get(productA) || 0;
+    const normB = this.squaredNorms.get(productB) || 0;
+
+    if (dot === 0 || normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  // Re-rank the stored neighbor list of a single product
+  refreshNeighbors(productId) {
+    const row = this.dotProducts.get(productId);
+    if (!row) {
+      this.neighbors.delete(productId);
+      return;
+    }
+
+    const ranked = [];
+    for (const otherId of row.keys()) {
+      const similarity = this.similarity(productId, otherId);
+      if (similarity >= this.minSimilarity) {
+        ranked.push({ productId: otherId, similarity });
+      }
+    }
+
+    this.neighbors.set(
+      productId,
+      ranked
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.neighborLimit)
+    );
+  }
+
+  // Apply a change of one user's weight on one product. `userInteractions`
+  // is the user's row before the change is written to it.
+  updateInteraction(userInteractions, productId, previousWeight, newWeight) {
+    const delta = newWeight - previousWeight;
+    if (delta === 0) return;
+
+    this.addToNorm(
+      productId,
+      newWeight * newWeight - previousWeight * previousWeight
+    );
+
+    const touched = new Set([productId]);
+    for (const [otherId, otherWeight] of userInteractions) {
+      if (otherId === productId) continue;
+      this.addToDot(productId, otherId, delta * otherWeight);
+      touched.add(otherId);
+    }
+
+    // Norm changes shift every similarity involving this product
+    for (const otherId of this.dotProducts.get(productId)?.keys() || []) {
+      touched.add(otherId);
+    }
+
+    touched.forEach((id) => this.refreshNeighbors(id));
+  }
+
+  getNeighbors(productId, limit = this.neighborLimit) {
+    return (this.neighbors.get(productId) || []).slice(0, limit);
+  }
+
+  // Score unseen products for a user by summing neighbor similarities
+  // weighted by the user's own interaction strength. Neighbors of disliked
+  // products are pushed down and dropped once their score is not positive.
+  recommend(userInteractions, limit = 10, exclude = new Set()) {
+    const scores = new Map();
+
+    for (const [productId, weight] of userInteractions) {
+      for (const neighbor of this.getNeighbors(productId)) {
+        if (userInteractions.has(neighbor.productId)) continue;
+        if (exclude.has(neighbor.productId)) continue;
+        if (!scores.has(neighbor.productId)) {
+          scores.set(neighbor.productId, { score: 0, contributions: [] });
+        }
+        const entry = scores.get(neighbor.productId);
+        const contribution = weight * neighbor.similarity;
+        entry.score += contribution;
+        entry.contributions.push({ productId, contribution });
+      }
+    }
+
+    // `contributors` lists the user's products behind each score, strongest first
+    return Array.from(scores.entries())
+      .map(([productId, { score, contributions }]) => ({
+        productId,
+        score,
+        contributors: contributions
+          .sort((a, b) => b.contribution - a.contribution)
+          .map((c) => c.productId),
+      }))
+      .filter((item) => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      neighborLimit: this.neighborLimit,
+      minSimilarity: this.minSimilarity,
+      squaredNorms: Array.from(this.squaredNorms.entries()),
+      dotProducts: Array.from(this.dotProducts.entries()).map(([id, row]) => [
+        id,
+        Array.from(row.entries()),
+      ]),
+      neighbors: Array.from(this.neighbors.entries()),
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new ItemNeighborIndex(data);
+    index.squaredNorms = new Map(data.squaredNorms);
+    index.dotProducts = new Map(
+      data.dotProducts.map(([id, row]) => [id, new Map(row)])
+    );
+    index.neighbors = new Map(data.neighbors);
+    return index;
+  }
+}
+
+export default ItemNeighborIndex;
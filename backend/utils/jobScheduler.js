@@ -0,0 +1,210 @@
+// Minimal cron-style scheduler for background jobs. Schedules are standard
+// five-field cron expressions (minute hour day-of-month month day-of-week,
+// local time) supporting `*`, numbers, ranges `a-b`, steps `*/n` or `a-b/n`
+// and comma-separated lists.
+//
+// Only one job runs at a time: a job due while another is running is
+// recorded as skipped. Every run, whether scheduled or triggered by hand, is
+// kept in a capped in-memory history.
+
+const MINUTE_MS = 60 * 1000;
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  // 0 and 7 are both Sunday
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const parseField = (expression, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of expression.split(",")) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+
+    const [, range, start, end, step] = match;
+    const from = range === "*" ? min : parseInt(start);
+    const to = range === "*" ? max : end ? parseInt(end) : step ? max : from;
+    const increment = step ? parseInt(step) : 1;
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    for (let value = from; value <= to; value += increment) values.add(value);
+  }
+
+  return values;
+};
+
+// Parse a cron expression into a matcher for Date objects
+export const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression needs 5 fields: ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) =>
+    parseField(field, CRON_FIELDS[i])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+  const dayRestricted = fields[2] !== "*";
+  const weekdayRestricted = fields[4] !== "*";
+
+  return (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours())) {
+      return false;
+    }
+    if (!months.has(date.getMonth() + 1)) return false;
+
+    // As in cron, a restricted day of month or day of week is enough
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+  };
+};
+
+// First minute after `from` matching the schedule, within a year
+export const nextRun = (matches, from) => {
+  const date = new Date(Math.floor(from / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    if (matches(date)) return date;
+    date.setTime(date.getTime() + MINUTE_MS);
+  }
+  return null;
+};
+
+class JobScheduler {
+  constructor(options = {}) {
+    this.historyLimit = options.historyLimit || 100;
+    // Injectable clock so schedules can be pinned in tests
+    this.now = options.now || (() => Date.now());
+
+    this.jobs = new Map();
+    this.history = [];
+    this.current = null;
+    this.timer = null;
+    this.nextRunId = 1;
+  }
+
+  // `run` is an async function whose result is stored with the run
+  register(name, { schedule, description = "", run }) {
+    this.jobs.set(name, {
+      name,
+      schedule,
+      description,
+      matches: parseCron(schedule),
+      run,
+    });
+    return this;
+  }
+
+  // Check schedules at the start of every minute
+  start() {
+    if (this.timer) return;
+
+    const scheduleTick = () => {
+      const delay = MINUTE_MS - (this.now() % MINUTE_MS);
+      this.timer = setTimeout(() => {
+        this.tick();
+        scheduleTick();
+      }, delay);
+      // Never keep the process alive just for the scheduler
+      this.timer.unref?.();
+    };
+    scheduleTick();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  tick(date = new Date(this.now())) {
+    for (const job of this.jobs.values()) {
+      if (job.matches(date)) this.trigger(job.name, "schedule");
+    }
+  }
+
+  // Start a job now. Returns its run record, or null for an unknown job.
+  trigger(name, trigger = "manual") {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+
+    const run = {
+      id: this.nextRunId++,
+      job: name,
+      trigger,
+      status: "running",
+      startedAt: new Date(this.now()),
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null,
+    };
+    this.history.unshift(run);
+    this.history.length = Math.min(this.history.length, this.historyLimit);
+
+    if (this.current) {
+      return this.finish(run, "skipped", {
+        error: `Job ${this.current.run.job} is already running`,
+      });
+    }
+
+    const promise = Promise.resolve()
+      .then(() => job.run())
+      .then(
+        (result) => this.finish(run, "succeeded", { result }),
+        (error) => {
+          console.error(`Job ${name} failed:`, error);
+          this.finish(run, "failed", { error: error.message });
+        }
+      )
+      .finally(() => {
+        this.current = null;
+      });
+    this.current = { run, promise };
+
+    return run;
+  }
+
+  finish(run, status, { result = null, error = null }) {
+    const finishedAt = new Date(this.now());
+    return Object.assign(run, {
+      status,
+      finishedAt,
+      durationMs: finishedAt - run.startedAt,
+      result,
+      error,
+    });
+  }
+
+  // Resolves once no job is running
+  async idle() {
+    while (this.current) await this.current.promise;
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values()).map(
+      ({ name, schedule, description, matches }) => ({
+        name,
+        schedule,
+        description,
+        running: this.current?.run.job === name,
+        nextRunAt: nextRun(matches, this.now()),
+        lastRun: this.history.find((run) => run.job === name) || null,
+      })
+    );
+  }
+
+  getHistory(name = null) {
+    return name
+      ? this.history.filter((run) => run.job === name)
+      : [...this.history];
+  }
+}
+
+export default JobScheduler;
@@ -0,0 +1,213 @@
+import { Matrix, solve } from "ml-matrix";
+
+// Small deterministic PRNG so factor initialization is reproducible
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Implicit-feedback matrix factorization trained with alternating least
+// squares (Hu, Koren & Volinsky). Interaction weights are treated as
+// confidence in a binary "user likes item" preference rather than as ratings.
+class MatrixFactorization {
+  constructor(options = {}) {
+    this.factors = options.factors || 16;
+    this.iterations = options.iterations || 10;
+    this.regularization = options.regularization ?? 0.1;
+    this.alpha = options.alpha ?? 1;
+    this.seed = options.seed ?? 42;
+
+    this.userFactors = new Map();
+    this.itemFactors = new Map();
+    // Gram matrix of the item factors, built on first use after training
+    this.itemGram = null;
+  }
+
+  // Train user and item embeddings from a Map<userId, Map<productId, weight>>
+  fit(userItemMatrix) {
+    const users = [];
+    const itemIds = new Set();
+
+    for (const [userId, interactions] of userItemMatrix) {
+      if (interactions.size === 0) continue;
+      users.push(userId);
+      for (const productId of interactions.keys()) {
+        itemIds.add(productId);
+      }
+    }
+
+    this.userFactors = new Map();
+    this.itemFactors = new Map();
+    this.itemGram = null;
+
+    if (users.length === 0 || itemIds.size === 0) return this;
+
+    // Item -> users view of the same data for the item half-step
+    const itemUsers = new Map();
+    for (const userId of users) {
+      for (const [productId, weight] of userItemMatrix.get(userId)) {
+        if (!itemUsers.has(productId)) itemUsers.set(productId, new Map());
+        itemUsers.get(productId).set(userId, weight);
+      }
+    }
+
+    const random = createRandom(this.seed);
+    const initVector = () =>
+      Array.from({ length: this.factors }, () => (random() - 0.5) * 0.1);
+
+    users.forEach((userId) => this.userFactors.set(userId, initVector()));
+    itemIds.forEach((productId) =>
+      this.itemFactors.set(productId, initVector())
+    );
+
+    for (let i = 0; i < this.iterations; i++) {
+      this.solveFactors(this.userFactors, userItemMatrix, this.itemFactors);
+      this.solveFactors(this.itemFactors, itemUsers, this.userFactors);
+    }
+
+    return this;
+  }
+
+  // One ALS half-step: recompute every row of `target` with `fixed` held constant
+  solveFactors(target, ratings, fixed) {
+    const gram = this.gramMatrix(fixed);
+
+    for (const id of target.keys()) {
+      const vector = this.solveRow(ratings.get(id), fixed, gram);
+      if (vector) target.set(id, vector);
+    }
+  }
+
+  // Y^T Y over all rows of a factor map
+  gramMatrix(factorMap) {
+    const gram = Matrix.zeros(this.factors, this.factors);
+
+    for (const vector of factorMap.values()) {
+      for (let a = 0; a < this.factors; a++) {
+        for (let b = 0; b < this.factors; b++) {
+          gram.set(a, b, gram.get(a, b) + vector[a] * vector[b]);
+        }
+      }
+    }
+
+    return gram;
+  }
+
+  // Solve (Y^T C Y + lambda I) x = Y^T C p for a single user or item
+  solveRow(interactions, fixed, gram) {
+    if (!interactions || interactions.size === 0) return null;
+
+    const A = gram.clone();
+    const b = Matrix.zeros(this.factors, 1);
+
+    for (const [id, weight] of interactions) {
+      const y = fixed.get(id);
+      if (!y) continue;
+
+      const preference = weight > 0 ? 1 : 0;
+      const confidence = 1 + this.alpha * Math.abs(weight);
+
+      for (let a = 0; a < this.factors; a++) {
+        for (let c = 0; c < this.factors; c++) {
+          A.set(a, c, A.get(a, c) + (confidence - 1) * y[a] * y[c]);
+        }
+        b.set(a, 0, b.get(a, 0) + confidence * preference * y[a]);
+      }
+    }
+
+    for (let a = 0; a < this.factors; a++) {
+      A.set(a, a, A.get(a, a) + this.regularization);
+    }
+
+    return solve(A, b).to1DArray();
+  }
+
+  // Item factors only change in fit, so their Gram matrix is shared by
+  // every fold-in until the next training
+  itemGramMatrix() {
+    if (!this.itemGram) this.itemGram = this.gramMatrix(this.itemFactors);
+    return this.itemGram;
+  }
+
+  // Recompute a single user's embedding against the current item factors
+  foldInUser(userId, interactions) {
+    if (this.itemFactors.size === 0) return;
+
+    const vector = this.solveRow(
+      interactions,
+      this.itemFactors,
+      this.itemGramMatrix()
+    );
+    if (vector) this.userFactors.set(userId, vector);
+  }
+
+  // Recompute every user's embedding against the current item factors
+  foldInUsers(userItemMatrix) {
+    if (this.itemFactors.size === 0) return;
+
+    const gram = this.itemGramMatrix();
+    this.userFactors = new Map();
+    for (const [userId, interactions] of userItemMatrix) {
+      const vector = this.solveRow(interactions, this.itemFactors, gram);
+      if (vector) this.userFactors.set(userId, vector);
+    }
+  }
+
+  hasUser(userId) {
+    return this.userFactors.has(userId);
+  }
+
+  // Predicted preference of a user for a single item
+  predict(userId, productId) {
+    const x = this.userFactors.get(userId);
+    const y = this.itemFactors.get(productId);
+    if (!x || !y) return 0;
+
+    let score = 0;
+    for (let a = 0; a < this.factors; a++) {
+      score += x[a] * y[a];
+    }
+    return score;
+  }
+
+  // Top-N items for a user, skipping any ids in `exclude`
+  recommend(userId, limit = 10, exclude = new Set()) {
+    if (!this.userFactors.has(userId)) return [];
+
+    const scores = [];
+    for (const productId of this.itemFactors.keys()) {
+      if (exclude.has(productId)) continue;
+      scores.push({ productId, score: this.predict(userId, productId) });
+    }
+
+    return scores.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      factors: this.factors,
+      iterations: this.iterations,
+      regularization: this.regularization,
+      alpha: this.alpha,
+      seed: this.seed,
+      userFactors: Array.from(this.userFactors.entries()),
+      itemFactors: Array.from(this.itemFactors.entries()),
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new MatrixFactorization(data);
+    model.userFactors = new Map(data.userFactors);
+    model.itemFactors = new Map(data.itemFactors);
+    return model;
+  }
+}
+
+export default MatrixFactorization;
@@ -0,0 +1,187 @@
+// Merchandising rules applied as the last stage of every product list.
+// A rule pairs conditions on product attributes with one action:
+//   boost   - multiply the product's relevance by `factor`
+//   bury    - move the product below every non-buried product
+//   pin     - place the product at a fixed 1-based `position`
+//   exclude - drop the product from the list
+
+export const RULE_ACTIONS = ["boost", "bury", "pin", "exclude"];
+
+const DEFAULT_BOOST_FACTOR = 2;
+
+export const isRuleActive = (rule, now = Date.now()) =>
+  rule.active !== false &&
+  (!rule.startDate || new Date(rule.startDate).getTime() <= now) &&
+  (!rule.endDate || new Date(rule.endDate).getTime() >= now);
+
+export const matchesRule = (product, conditions = {}) => {
+  const { categories, manufacturers, isOnSale, minStock, maxStock } =
+    conditions;
+  const stock = product.quantity_in_stock ?? 0;
+
+  if (categories?.length > 0 && !categories.includes(product.category)) {
+    return false;
+  }
+  if (
+    manufacturers?.length > 0 &&
+    !manufacturers.includes(product.manufacturer)
+  ) {
+    return false;
+  }
+  if (
+    typeof isOnSale === "boolean" &&
+    Boolean(product.is_on_sale) !== isOnSale
+  ) {
+    return false;
+  }
+  if (typeof minStock === "number" && stock < minStock) return false;
+  if (typeof maxStock === "number" && stock > maxStock) return false;
+
+  return true;
+};
+
+const isStringArray = (value) =>
+  Array.isArray(value) && value.every((item) => typeof item === "string");
+
+const validateConditions = (conditions) => {
+  if (typeof conditions !== "object" || Array.isArray(conditions)) {
+    return "Rule conditions must be an object";
+  }
+
+  const { categories, manufacturers, isOnSale, minStock, maxStock } =
+    conditions;
+  for (const [field, value] of Object.entries({ categories, manufacturers })) {
+    if (value !== undefined && !isStringArray(value)) {
+      return `Rule ${field} must be a list of names`;
+    }
+  }
+  if (isOnSale !== undefined && typeof isOnSale !== "boolean") {
+    return "Rule isOnSale must be true or false";
+  }
+  for (const [field, value] of Object.entries({ minStock, maxStock })) {
+    if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+      return `Rule ${field} must be a number of at least 0`;
+    }
+  }
+  if (minStock !== undefined && maxStock !== undefined && minStock > maxStock) {
+    return "Rule minStock must not be greater than maxStock";
+  }
+
+  return null;
+};
+
+export const validateRule = ({
+  name,
+  conditions,
+  action,
+  startDate,
+  endDate,
+}) => {
+  if (!name) {
+    return "Rule name is required";
+  }
+
+  if (conditions !== undefined && conditions !== null) {
+    const conditionsError = validateConditions(conditions);
+    if (conditionsError) return conditionsError;
+  }
+
+  if (!action || !RULE_ACTIONS.includes(action.type)) {
+    return `Rule action type must be one of: ${RULE_ACTIONS.join(", ")}`;
+  }
+  if (
+    action.type === "boost" &&
+    action.factor !== undefined &&
+    !(action.factor > 0)
+  ) {
+    return "Boost factor must be greater than 0";
+  }
+  if (
+    action.type === "pin" &&
+    !(Number.isInteger(action.position) && action.position >= 1)
+  ) {
+    return "Pin position must be a whole number of at least 1";
+  }
+
+  if (startDate && endDate && new Date(startDate) > new Date(endDate)) {
+    return "Rule start date must be before its end date";
+  }
+
+  return null;
+};
+
+// Re-rank a list with the rules active at `now`. Relevance is taken from
+// list position so lists with and without scores are treated alike;
+// products matched by no rule keep their relative order. Affected products
+// list the rules applied to them under `merchandising`.
+export const applyMerchandisingRules = (items, rules, now = Date.now()) => {
+  const activeRules = rules
+    .filter((rule) => isRuleActive(rule, now))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  if (activeRules.length === 0) return items;
+
+  const ranked = [];
+  const buried = [];
+  const pinned = [];
+
+  items.forEach((item, index) => {
+    const matched = activeRules.filter((rule) =>
+      matchesRule(item, rule.conditions)
+    );
+    if (matched.length === 0) {
+      ranked.push({ item, score: items.length - index });
+      return;
+    }
+    if (matched.some((rule) => rule.action.type === "exclude")) return;
+
+    const entry = {
+      item: {
+        ...item,
+        merchandising: matched.map((rule) => ({
+          ruleId: rule._id,
+          name: rule.name,
+          action: rule.action.type,
+        })),
+      },
+      score: items.length - index,
+    };
+
+    // The highest-priority pin decides the position
+    const pin = matched.find((rule) => rule.action.type === "pin");
+    if (pin) {
+      pinned.push({
+        ...entry,
+        position: pin.action.position,
+        priority: pin.priority || 0,
+      });
+      return;
+    }
+
+    for (const rule of matched) {
+      if (rule.action.type === "boost") {
+        entry.score *= rule.action.factor ?? DEFAULT_BOOST_FACTOR;
+      }
+    }
+
+    if (matched.some((rule) => rule.action.type === "bury")) {
+      buried.push(entry);
+    } else {
+      ranked.push(entry);
+    }
+  });
+
+  const result = [...ranked.sort((a, b) => b.score - a.score), ...buried].map(
+    ({ item }) => item
+  );
+
+  // Insert pins front to back so earlier pins do not shift later ones.
+  // On a shared position the last insert ends up first, so go by rising
+  // priority.
+  pinned
+    .sort((a, b) => a.position - b.position || a.priority - b.priority)
+    .forEach(({ item, position }) => {
+      result.splice(Math.min(position - 1, result.length), 0, item);
+    });
+
+  return result;
+};
@@ -0,0 +1,107 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Bump whenever the shape of the serialized engine state changes; snapshots
+// written with another version are ignored on load.
+export const SNAPSHOT_VERSION = 8;
+
+const SNAPSHOT_PREFIX = "model-";
+const SNAPSHOT_EXTENSION = ".json";
+const SNAPSHOTS_TO_KEEP = 3;
+
+export const getSnapshotDir = () =>
+  process.env.MODEL_SNAPSHOT_DIR || path.join(__dirname, "..", "snapshots");
+
+// Snapshots older than this are considered stale and trigger a retrain
+const getMaxAgeMs = () =>
+  parseFloat(process.env.MODEL_SNAPSHOT_MAX_AGE_HOURS || "24") * 3600 * 1000;
+
+const listSnapshots = async (dir) => {
+  try {
+    const files = await fs.readdir(dir);
+    // Timestamped names sort chronologically
+    return files
+      .filter(
+        (file) =>
+          file.startsWith(SNAPSHOT_PREFIX) && file.endsWith(SNAPSHOT_EXTENSION)
+      )
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+};
+
+// Write engine state to a new snapshot file and prune old ones.
+// The file is written under a temporary name and renamed into place so a
+// crash never leaves a half-written snapshot behind.
+export const saveSnapshot = async (state, dir = getSnapshotDir()) => {
+  await fs.mkdir(dir, { recursive: true });
+
+  const createdAt = new Date();
+  const file = `${SNAPSHOT_PREFIX}${createdAt
+    .toISOString()
+    .replace(/[:.]/g, "-")}${SNAPSHOT_EXTENSION}`;
+  const filePath = path.join(dir, file);
+  const contents = JSON.stringify({
+    version: SNAPSHOT_VERSION,
+    createdAt: createdAt.toISOString(),
+    state,
+  });
+
+  await fs.writeFile(`${filePath}.tmp`, contents);
+  await fs.rename(`${filePath}.tmp`, filePath);
+
+  const snapshots = await listSnapshots(dir);
+  await Promise.all(
+    snapshots
+      .slice(SNAPSHOTS_TO_KEEP)
+      .map((old) => fs.unlink(path.join(dir, old)).catch(() => {}))
+  );
+
+  return {
+    file,
+    version: SNAPSHOT_VERSION,
+    createdAt: createdAt.toISOString(),
+    sizeBytes: Buffer.byteLength(contents),
+  };
+};
+
+// Load the newest snapshot if it is compatible and fresh enough.
+// Returns { state, metadata } or null.
+export const loadLatestSnapshot = async (
+  dir = getSnapshotDir(),
+  now = Date.now()
+) => {
+  const [latest] = await listSnapshots(dir);
+  if (!latest) return null;
+
+  const contents = await fs.readFile(path.join(dir, latest), "utf8");
+  const snapshot = JSON.parse(contents);
+
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.log(
+      `⚠️ Ignoring model snapshot ${latest}: version ${snapshot.version}, expected ${SNAPSHOT_VERSION}`
+    );
+    return null;
+  }
+
+  if (now - new Date(snapshot.createdAt).getTime() > getMaxAgeMs()) {
+    console.log(`⚠️ Ignoring stale model snapshot ${latest}`);
+    return null;
+  }
+
+  return {
+    state: snapshot.state,
+    metadata: {
+      file: latest,
+      version: snapshot.version,
+      createdAt: snapshot.createdAt,
+      sizeBytes: Buffer.byteLength(contents),
+    },
+  };
+};
@@ -0,0 +1,173 @@
+// Popularity signals that do not depend on who is asking: Bayesian-averaged
+// ratings and trending scores from interaction velocity.
+//
+// Interactions are kept as weighted counts in hourly buckets per product.
+// A product is trending when its weighted interactions in the window exceed
+// what its rate over the preceding baseline period predicts:
+//
+//   expected = baselineCount * window / baseline
+//   trending = (recent - expected) / sqrt(expected + 1)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const TRENDING_WINDOWS = {
+  "24h": DAY_MS,
+  "7d": 7 * DAY_MS,
+  "30d": 30 * DAY_MS,
+};
+
+export const DEFAULT_TRENDING_WINDOW = "7d";
+
+// Negative feedback never makes a product popular
+const POPULARITY_TYPES = new Set(["view", "like", "cart_add", "purchase"]);
+
+// Shrink a mean toward `priorMean` as if `priorWeight` extra observations
+// of the prior had been made
+export const bayesianAverage = (sum, count, priorMean, priorWeight) =>
+  (priorWeight * priorMean + sum) / (priorWeight + count);
+
+class PopularityIndex {
+  constructor(options = {}) {
+    this.priorWeight = options.priorWeight ?? 5;
+    // Baseline period length as a multiple of the trending window
+    this.baselineMultiplier = options.baselineMultiplier || 3;
+
+    this.buckets = new Map();
+    this.ratingSums = new Map();
+    this.ratingCounts = new Map();
+  }
+
+  // Build from users' interaction lists; `weightOf` maps an interaction type
+  // to its weight
+  build(users, weightOf) {
+    this.buckets = new Map();
+    this.ratingSums = new Map();
+    this.ratingCounts = new Map();
+
+    for (const user of users) {
+      for (const interaction of user.interactions) {
+        this.recordInteraction(interaction, weightOf(interaction.type));
+      }
+    }
+
+    return this;
+  }
+
+  // Add (sign 1) or take back (sign -1) one interaction
+  recordInteraction(interaction, weight, sign = 1) {
+    const { productId, type, timestamp, rating } = interaction;
+
+    if (POPULARITY_TYPES.has(type)) {
+      const hour = Math.floor(new Date(timestamp).getTime() / HOUR_MS);
+      if (!this.buckets.has(productId)) this.buckets.set(productId, new Map());
+      const productBuckets = this.buckets.get(productId);
+      productBuckets.set(hour, (productBuckets.get(hour) || 0) + sign * weight);
+    }
+
+    if (typeof rating === "number") {
+      this.ratingSums.set(
+        productId,
+        (this.ratingSums.get(productId) || 0) + sign * rating
+      );
+      this.ratingCounts.set(
+        productId,
+        (this.ratingCounts.get(productId) || 0) + sign
+      );
+    }
+  }
+
+  // Bayesian rating from shopper ratings plus the catalog rating, which
+  // counts as a single observation
+  bayesianRating(productId, catalogRating, priorMean) {
+    let sum = this.ratingSums.get(productId) || 0;
+    let count = this.ratingCounts.get(productId) || 0;
+    if (typeof catalogRating === "number") {
+      sum += catalogRating;
+      count += 1;
+    }
+    return bayesianAverage(sum, count, priorMean, this.priorWeight);
+  }
+
+  // Drop hourly counts too old for any trending window or its baseline
+  // period. Ratings are kept.
+  prune(now = Date.now()) {
+    const longestWindow = Math.max(...Object.values(TRENDING_WINDOWS));
+    const cutoffHour = Math.floor(
+      (now - longestWindow * (1 + this.baselineMultiplier)) / HOUR_MS
+    );
+
+    for (const [productId, productBuckets] of this.buckets) {
+      for (const hour of productBuckets.keys()) {
+        if (hour < cutoffHour) productBuckets.delete(hour);
+      }
+      if (productBuckets.size === 0) this.buckets.delete(productId);
+    }
+
+    return this;
+  }
+
+  // Weighted interactions of a product in [from, to)
+  countBetween(productId, from, to) {
+    const productBuckets = this.buckets.get(productId);
+    if (!productBuckets) return 0;
+
+    const fromHour = Math.floor(from / HOUR_MS);
+    const toHour = Math.floor(to / HOUR_MS);
+    let total = 0;
+    for (const [hour, weight] of productBuckets) {
+      if (hour >= fromHour && hour < toHour) total += weight;
+    }
+    return total;
+  }
+
+  // Trending scores for products with interactions in the window, highest
+  // first. Products trending downwards are left out.
+  trending(windowMs, now = Date.now()) {
+    const windowStart = now - windowMs;
+    const baselineMs = windowMs * this.baselineMultiplier;
+    const results = [];
+
+    for (const productId of this.buckets.keys()) {
+      const recent = this.countBetween(productId, windowStart, now + HOUR_MS);
+      if (recent <= 0) continue;
+
+      const baseline = this.countBetween(
+        productId,
+        windowStart - baselineMs,
+        windowStart
+      );
+      const expected = (baseline * windowMs) / baselineMs;
+      const score = (recent - expected) / Math.sqrt(expected + 1);
+      if (score > 0) results.push({ productId, score, recent, expected });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      priorWeight: this.priorWeight,
+      baselineMultiplier: this.baselineMultiplier,
+      buckets: Array.from(this.buckets.entries()).map(([id, buckets]) => [
+        id,
+        Array.from(buckets.entries()),
+      ]),
+      ratingSums: Array.from(this.ratingSums.entries()),
+      ratingCounts: Array.from(this.ratingCounts.entries()),
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new PopularityIndex(data);
+    index.buckets = new Map(
+      data.buckets.map(([id, buckets]) => [id, new Map(buckets)])
+    );
+    index.ratingSums = new Map(data.ratingSums);
+    index.ratingCounts = new Map(data.ratingCounts);
+    return index;
+  }
+}
+
+export default PopularityIndex;
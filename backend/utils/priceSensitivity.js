@@ -0,0 +1,194 @@
+// Per-user price sensitivity learned from purchases and cart adds. Prices a
+// user paid are modeled as log-normal: for each user we keep weighted
+// moments of log price overall and per category. A category with little
+// history is shrunk towards the user's overall distribution, so one purchase
+// in a new category does not pin the user to that exact price.
+//
+// A candidate's price fit is exp(-z^2 / 2), where z is the distance of its
+// log price from the user's mean in standard deviations: 1 at the user's
+// typical price, about 0.6 one standard deviation away.
+
+// How strongly each interaction type reveals what the user is willing to pay
+export const PRICE_SIGNAL_WEIGHTS = {
+  purchase: 1,
+  cart_add: 0.5,
+};
+
+// Price the customer actually pays for a product
+export const effectivePrice = (product) =>
+  product.is_on_sale && product.sale_price ? product.sale_price : product.price;
+
+const emptyMoments = () => ({ weight: 0, sum: 0, sumSquares: 0 });
+
+const addToMoments = (moments, logPrice, weight) => {
+  moments.weight += weight;
+  moments.sum += weight * logPrice;
+  moments.sumSquares += weight * logPrice * logPrice;
+};
+
+class PriceSensitivityModel {
+  constructor(options = {}) {
+    // Pseudo-observations of the overall distribution mixed into each
+    // category distribution
+    this.priorStrength = options.priorStrength ?? 2;
+    // Floor on the standard deviation of log price (about +/- 35%)
+    this.minDeviation = options.minDeviation ?? 0.3;
+
+    // userId -> { overall: moments, categories: Map<category, moments> }
+    this.users = new Map();
+  }
+
+  // Learn from users' interaction lists. `getProduct(productId)` returns
+  // { category, price } for the current catalog, used when an interaction
+  // did not record the price paid.
+  build(users, getProduct) {
+    this.users = new Map();
+
+    for (const user of users) {
+      for (const interaction of user.interactions) {
+        const product = getProduct(interaction.productId);
+        if (!product) continue;
+        this.recordInteraction(
+          user._id.toString(),
+          product.category,
+          interaction.price ?? product.price,
+          interaction.type
+        );
+      }
+    }
+
+    return this;
+  }
+
+  // Add (sign 1) or take back (sign -1) one interaction at a price
+  recordInteraction(userId, category, price, type, sign = 1) {
+    const weight = PRICE_SIGNAL_WEIGHTS[type];
+    if (!weight || !(price > 0)) return;
+
+    if (!this.users.has(userId)) {
+      this.users.set(userId, {
+        overall: emptyMoments(),
+        categories: new Map(),
+      });
+    }
+    const profile = this.users.get(userId);
+    if (!profile.categories.has(category)) {
+      profile.categories.set(category, emptyMoments());
+    }
+
+    const logPrice = Math.log(price);
+    addToMoments(profile.overall, logPrice, sign * weight);
+    addToMoments(profile.categories.get(category), logPrice, sign * weight);
+  }
+
+  // Mean and standard deviation of log price from moments, optionally
+  // shrunk towards a prior distribution
+  distribution(moments, prior = null) {
+    let weight = Math.max(0, moments.weight);
+    let sum = moments.sum;
+    let sumSquares = moments.sumSquares;
+    if (prior) {
+      weight += this.priorStrength;
+      sum += this.priorStrength * prior.mean;
+      sumSquares +=
+        this.priorStrength * (prior.deviation ** 2 + prior.mean ** 2);
+    }
+    if (weight < 1e-9) return null;
+
+    const mean = sum / weight;
+    const variance = Math.max(0, sumSquares / weight - mean * mean);
+    return {
+      mean,
+      deviation: Math.max(this.minDeviation, Math.sqrt(variance)),
+      weight: Math.max(0, moments.weight),
+    };
+  }
+
+  // Log-price distribution for a user in a category, or overall when the
+  // category is omitted. Null without purchase history.
+  getDistribution(userId, category = null) {
+    const profile = this.users.get(userId);
+    if (!profile) return null;
+
+    const overall = this.distribution(profile.overall);
+    if (!overall || category === null) return overall;
+
+    const moments = profile.categories.get(category);
+    if (!moments || moments.weight < 1e-9) return overall;
+    return this.distribution(moments, overall);
+  }
+
+  // How well a price matches what the user pays in the category, in (0, 1];
+  // null when the user has no purchase history
+  fit(userId, category, price) {
+    const distribution = this.getDistribution(userId, category);
+    if (!distribution || !(price > 0)) return null;
+
+    const z = (Math.log(price) - distribution.mean) / distribution.deviation;
+    return Math.exp(-(z * z) / 2);
+  }
+
+  // Typical price and the range within one standard deviation, in currency
+  describe(distribution) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      typicalPrice: round(Math.exp(distribution.mean)),
+      low: round(Math.exp(distribution.mean - distribution.deviation)),
+      high: round(Math.exp(distribution.mean + distribution.deviation)),
+      observations: round(distribution.weight),
+    };
+  }
+
+  // User's learned price ranges overall and per category, most observed
+  // category first. Categories whose interactions were all taken back are
+  // left out rather than reported at the overall range.
+  summary(userId) {
+    const overall = this.getDistribution(userId);
+    if (!overall) return null;
+
+    const categories = Array.from(this.users.get(userId).categories.entries())
+      .filter(([, moments]) => moments.weight >= 1e-9)
+      .map(([category]) => ({
+        category,
+        distribution: this.getDistribution(userId, category),
+      }))
+      .sort((a, b) => b.distribution.weight - a.distribution.weight)
+      .map(({ category, distribution }) => ({
+        category,
+        ...this.describe(distribution),
+      }));
+
+    return { overall: this.describe(overall), categories };
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      priorStrength: this.priorStrength,
+      minDeviation: this.minDeviation,
+      users: Array.from(this.users.entries()).map(([userId, profile]) => [
+        userId,
+        {
+          overall: profile.overall,
+          categories: Array.from(profile.categories.entries()),
+        },
+      ]),
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new PriceSensitivityModel(data);
+    model.users = new Map(
+      data.users.map(([userId, profile]) => [
+        userId,
+        {
+          overall: profile.overall,
+          categories: new Map(profile.categories),
+        },
+      ])
+    );
+    return model;
+  }
+}
+
+export default PriceSensitivityModel;
@@ -0,0 +1,177 @@
+// Cache for recommendation lists computed by the engine, keyed by user,
+// strategy, limit and strategy params. Entries expire after a TTL and are
+// invalidated per user when the user interacts, or entirely when the model
+// or the catalog changes.
+//
+// Storage is pluggable. A store implements these async methods:
+//
+//   get(key)                -> value, or undefined when missing or expired
+//   set(key, value, ttlMs)
+//   deleteByPrefix(prefix)  -> number of entries removed
+//   clear()
+//
+// and optionally `size()`. Values written to an external store should be
+// JSON-serializable; recommendation lists are plain objects.
+
+const DEFAULT_TTL_SECONDS = 300;
+
+// Stable JSON for flat strategy params, independent of key order
+const serializeParams = (params = {}) =>
+  JSON.stringify(
+    Object.keys(params)
+      .sort()
+      .filter((key) => params[key] !== undefined)
+      .map((key) => [key, params[key]])
+  );
+
+// In-process store with per-entry expiry. When full, the oldest entry is
+// evicted first.
+export class MemoryCacheStore {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 10000;
+    // Injectable clock so expiry can be pinned in tests
+    this.now = options.now || (() => Date.now());
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, expiresAt: this.now() + ttlMs });
+  }
+
+  async deleteByPrefix(prefix) {
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  size() {
+    return this.entries.size;
+  }
+}
+
+class RecommendationCache {
+  constructor(store = new MemoryCacheStore(), options = {}) {
+    this.store = store;
+    this.ttlSeconds = options.ttlSeconds;
+    this.resetStats();
+  }
+
+  // Swap in another backend, e.g. an external store shared between servers
+  setStore(store) {
+    this.store = store;
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+    this.invalidations = 0;
+  }
+
+  getTtlMs() {
+    const seconds =
+      this.ttlSeconds ??
+      parseInt(
+        process.env.RECOMMENDATION_CACHE_TTL_SECONDS || `${DEFAULT_TTL_SECONDS}`
+      );
+    return seconds * 1000;
+  }
+
+  userPrefix(userId) {
+    return `${userId || "anonymous"}:`;
+  }
+
+  key(userId, strategy, limit, params) {
+    return `${this.userPrefix(userId)}${strategy}:${limit}:${serializeParams(
+      params
+    )}`;
+  }
+
+  // Cached result of `compute()`, computing and storing it on a miss.
+  // Store failures are counted and fall through to computing.
+  async wrap({ userId, strategy, limit, params, ttlMs }, compute) {
+    const ttl = ttlMs ?? this.getTtlMs();
+    if (ttl <= 0) return compute();
+
+    const key = this.key(userId, strategy, limit, params);
+    try {
+      const cached = await this.store.get(key);
+      if (cached !== undefined) {
+        this.hits++;
+        return cached;
+      }
+    } catch (error) {
+      this.errors++;
+      console.error("Error reading recommendation cache:", error);
+    }
+
+    this.misses++;
+    const value = await compute();
+    try {
+      await this.store.set(key, value, ttl);
+    } catch (error) {
+      this.errors++;
+      console.error("Error writing recommendation cache:", error);
+    }
+    return value;
+  }
+
+  async invalidateUser(userId) {
+    try {
+      this.invalidations++;
+      await this.store.deleteByPrefix(this.userPrefix(userId));
+    } catch (error) {
+      this.errors++;
+      console.error("Error invalidating recommendation cache:", error);
+    }
+  }
+
+  async invalidateAll() {
+    try {
+      this.invalidations++;
+      await this.store.clear();
+    } catch (error) {
+      this.errors++;
+      console.error("Error clearing recommendation cache:", error);
+    }
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      errors: this.errors,
+      invalidations: this.invalidations,
+      entries: this.store.size ? this.store.size() : null,
+      ttlSeconds: this.getTtlMs() / 1000,
+    };
+  }
+}
+
+export default RecommendationCache;
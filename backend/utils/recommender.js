@@ -1,169 +1,1237 @@
-import natural from "natural";
+import path from "path";
+import { Worker } from "worker_threads";
 import Product from "../models/Product.js";
 import User from "../models/User.js";
+import MerchandisingRule from "../models/MerchandisingRule.js";
+import ComplementRule from "../models/ComplementRule.js";
+import BanditArm from "../models/BanditArm.js";
+import MatrixFactorization from "./matrixFactorization.js";
+import ItemNeighborIndex from "./itemNeighbors.js";
+import UserSimilarityIndex from "./userNeighbors.js";
+import SessionTransitionModel from "./sessionTransitions.js";
+import AssociationRuleMiner from "./associationRules.js";
+import ComplementModel, { matchesComplementRule } from "./complements.js";
+import LatentSemanticIndex from "./semanticIndex.js";
+import LshIndex, { hashedUnitVector } from "./annIndex.js";
+import PopularityIndex, {
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+} from "./popularity.js";
+import {
+  tokenize,
+  buildTfIdfVectors,
+  vectorize,
+  cosineSimilarity,
+} from "./textVectors.js";
+import { mmrRerank, intraListDiversity } from "./diversity.js";
+import {
+  becauseYouInteracted,
+  similarToProduct,
+  sameSubcategory,
+  sameManufacturer,
+  similarShoppers,
+  oftenChosenWith,
+  boughtTogether,
+  pairsWellWith,
+  viewedNext,
+  tasteProfile,
+  favoriteCategory,
+  trendingNow,
+  topRated,
+  inYourPriceRange,
+  mergeReasons,
+} from "./explanations.js";
+import { saveSnapshot, loadLatestSnapshot } from "./modelSnapshot.js";
+import { applyMerchandisingRules } from "./merchandising.js";
+import ThompsonBandit, { HYBRID_ARMS, userSegment } from "./bandit.js";
+import RecommendationCache from "./recommendationCache.js";
+import StrategyRegistry from "./strategyRegistry.js";
+import { BUILTIN_STRATEGIES } from "./builtinStrategies.js";
+import PriceSensitivityModel, {
+  PRICE_SIGNAL_WEIGHTS,
+  effectivePrice,
+} from "./priceSensitivity.js";
 
-const TfIdf = natural.TfIdf;
-const stemmer = natural.PorterStemmer;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRAINING_WORKER_URL = new URL(
+  "../workers/trainingWorker.js",
+  import.meta.url
+);
+
+// In-stock products at or below this quantity are down-ranked
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+// Ranking score multiplier for low-stock products
+const LOW_STOCK_PENALTY = 0.5;
+// Latent dimensions of the LSA embedding of product text
+const DEFAULT_LSA_DIMENSIONS = 50;
+
+// Weights of the terms of calculateProductSimilarity
+const PRODUCT_SIMILARITY_WEIGHTS = {
+  text: 0.4,
+  category: 0.3,
+  subcategory: 0.1,
+  price: 0.1,
+  rating: 0.1,
+};
+// Dimensions of the hashed category and subcategory parts of product vectors
+const CATEGORY_VECTOR_DIMENSIONS = 16;
+
+// How much each signal contributes to a user's affinity for a product
+const AFFINITY_WEIGHTS = {
+  category: 0.35,
+  manufacturer: 0.15,
+  collaborative: 0.3,
+  priceFit: 0.2,
+};
+// Similar users whose interactions feed the collaborative affinity signal
+const AFFINITY_SIMILAR_USERS = 20;
+
+// Products shown per complementary subcategory, so one subcategory cannot
+// fill a "complete the set" list
+const COMPLEMENTS_PER_SUBCATEGORY = 2;
+
+// Share of a personalized score that depends on how well the product's
+// price fits the user's learned price range
+const PRICE_FIT_WEIGHT = 0.3;
+// Price fit above which a recommendation explains itself by price
+const PRICE_FIT_REASON_THRESHOLD = 0.8;
+// Approximate neighbors re-scored exactly per recommendation returned
+const ANN_CANDIDATE_FACTOR = 10;
+const MIN_ANN_CANDIDATES = 100;
+
+// Half-life in days after which an interaction counts for half its weight.
+// Intent signals fade faster than purchases. Hides never decay.
+const DEFAULT_HALF_LIVES = {
+  view: 14,
+  like: 60,
+  cart_add: 30,
+  purchase: 180,
+  dislike: 90,
+};
+
+// Product metrics counting each interaction type
+const PRODUCT_COUNTERS = {
+  view: "view_count",
+  like: "like_count",
+  purchase: "purchase_count",
+};
+
+// Identity of a stored interaction, to tell whether a read saw it
+const interactionKey = (userId, interaction) =>
+  `${userId}:${interaction._id ?? new Date(interaction.timestamp).getTime()}`;
 
 class RecommendationEngine {
-  constructor() {
-    this.tfidf = new TfIdf();
+  constructor(options = {}) {
+    this.halfLives = { ...DEFAULT_HALF_LIVES, ...options.halfLives };
+    // Injectable clock so decayed weights can be pinned in tests
+    this.now = options.now || (() => Date.now());
+
+    this.idf = new Map();
     this.productFeatures = new Map();
+    this.semanticIndex = new LatentSemanticIndex();
+    // Approximate nearest-neighbor index over product vectors
+    this.productIndex = new LshIndex();
+    this.lsaDimensions = options.lsaDimensions;
     this.userItemMatrix = new Map();
+    // Inverted product -> users index over the user-item matrix
+    this.userSimilarity = new UserSimilarityIndex();
+    this.matrixFactorization = new MatrixFactorization();
+    this.itemNeighbors = new ItemNeighborIndex();
+    this.sessionTransitions = new SessionTransitionModel();
+    this.associationRules = new AssociationRuleMiner();
+    this.popularity = new PopularityIndex();
+    this.priceSensitivity = new PriceSensitivityModel();
+    this.complementModel = new ComplementModel();
+    // userId -> Set of product ids the user asked never to see again
+    this.hiddenProducts = new Map();
+    // Admin-managed rules applied to every product list served
+    this.merchandisingRules = [];
+    // Admin-curated complements, served ahead of learned ones
+    this.complementRules = [];
+    // productId -> quantity_in_stock as last seen in a product document
+    this.stockLevels = new Map();
+    this.lowStockThreshold = options.lowStockThreshold;
+    // Learns hybrid blend settings per user segment from served lists
+    this.hybridBandit = new ThompsonBandit(HYBRID_ARMS);
+    // Computed recommendation lists; `cacheStore` plugs in another backend
+    this.cache = new RecommendationCache(options.cacheStore, {
+      ttlSeconds: options.cacheTtlSeconds,
+    });
+    // Strategies selectable by name; plugins register more at startup
+    this.strategies = new StrategyRegistry(BUILTIN_STRATEGIES);
+
+    // Interactions recorded ({ userId, previous, latest }) and undone
+    // ({ userId, removed, remaining }) while a background retrain is
+    // running, replayed onto the new model when it is swapped in; null when
+    // not training
+    this.pendingInteractions = null;
+    // productId -> product document (null when deleted) for catalog writes
+    // synced while retraining, re-applied over the trained product data
+    this.pendingProducts = null;
+
+    // Where the current model came from ("training" or "snapshot")
+    this.trainedAt = null;
+    this.modelSource = null;
+    this.snapshot = null;
+  }
+
+  // Train a new model in a worker thread and swap it in, so retraining
+  // does not block request handling. "full" retrains everything;
+  // "incremental" keeps product features and item embeddings and rebuilds
+  // the interaction-based models, falling back to full without a model.
+  async retrain(mode = "full") {
+    if (this.pendingInteractions) {
+      throw new Error("Recommendation engine is already retraining");
+    }
+
+    const effectiveMode =
+      mode === "incremental" && this.trainedAt ? "incremental" : "full";
+    let products;
+    let users;
+
+    // Capture from before the read: changes made while it runs may or may
+    // not be in the loaded data, which the replay below sorts out
+    this.pendingInteractions = [];
+    this.pendingProducts = new Map();
+    try {
+      [products, users] = await Promise.all([
+        Product.find({}).lean(),
+        User.find({}).select("_id interactions").lean(),
+      ]);
+      // Interactions the trained model will contain, kept up to date
+      // through the replay so each change is applied exactly once
+      const present = new Set();
+      for (const user of users) {
+        for (const interaction of user.interactions) {
+          present.add(interactionKey(user._id.toString(), interaction));
+        }
+      }
+
+      const state = await this.runTrainingWorker({
+        mode: effectiveMode,
+        options: {
+          halfLives: this.halfLives,
+          lsaDimensions: this.getLsaDimensions(),
+        },
+        // Only plain data survives the copy into the worker
+        products: products.map((product) => ({
+          ...product,
+          _id: product._id.toString(),
+        })),
+        users: users.map((user) => ({
+          _id: user._id.toString(),
+          interactions: user.interactions.map(
+            ({ productId, type, timestamp, rating, price }) => ({
+              productId,
+              type,
+              timestamp,
+              rating,
+              price,
+            })
+          ),
+        })),
+        state: effectiveMode === "incremental" ? this.exportState() : null,
+      });
+
+      // Swap synchronously so no request sees a partly replaced model
+      this.importState(state);
+      this.updateStockLevels(products);
+      for (const [productId, product] of this.pendingProducts) {
+        if (product) this.indexProduct(product);
+        else this.unindexProduct(productId);
+      }
+      for (const change of this.pendingInteractions) {
+        const { userId } = change;
+        if (change.latest) {
+          const key = interactionKey(userId, change.latest);
+          if (!present.has(key)) {
+            this.applyInteraction(userId, change.previous, change.latest);
+            present.add(key);
+          }
+        } else {
+          const key = interactionKey(userId, change.removed);
+          if (present.has(key)) {
+            this.revertInteraction(change);
+            present.delete(key);
+          }
+        }
+      }
+      this.modelSource = "training";
+    } finally {
+      this.pendingInteractions = null;
+      this.pendingProducts = null;
+    }
+
+    await this.trainStrategies();
+    await this.cache.invalidateAll();
+    await this.saveSnapshot();
+    console.log(
+      `✅ Recommendation engine retrained (${effectiveMode}) with ${products.length} products and ${users.length} users`
+    );
+
+    return {
+      mode: effectiveMode,
+      products: products.length,
+      users: users.length,
+      trainedAt: this.trainedAt,
+    };
+  }
+
+  runTrainingWorker(workerData) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(TRAINING_WORKER_URL, { workerData });
+      let state = null;
+      worker.once("message", (message) => {
+        state = message;
+      });
+      worker.once("error", reject);
+      worker.once("exit", (code) => {
+        if (state) resolve(state);
+        else reject(new Error(`Training worker exited with code ${code}`));
+      });
+    });
+  }
+
+  // Serializable copy of everything the engine learned
+  exportState() {
+    return {
+      trainedAt: this.trainedAt ? this.trainedAt.toISOString() : null,
+      idf: Array.from(this.idf.entries()),
+      productFeatures: Array.from(this.productFeatures.entries()).map(
+        // The pairwise similarity cache is rebuilt lazily after loading
+        ([productId, features]) => [
+          productId,
+          {
+            ...features,
+            textVector: Array.from(features.textVector.entries()),
+            textSimilarities: undefined,
+          },
+        ]
+      ),
+      semanticIndex: this.semanticIndex.toJSON(),
+      userItemMatrix: Array.from(this.userItemMatrix.entries()).map(
+        ([userId, interactions]) => [userId, Array.from(interactions.entries())]
+      ),
+      matrixFactorization: this.matrixFactorization.toJSON(),
+      itemNeighbors: this.itemNeighbors.toJSON(),
+      sessionTransitions: this.sessionTransitions.toJSON(),
+      associationRules: this.associationRules.toJSON(),
+      complementModel: this.complementModel.toJSON(),
+      popularity: this.popularity.toJSON(),
+      priceSensitivity: this.priceSensitivity.toJSON(),
+      hiddenProducts: Array.from(this.hiddenProducts.entries()).map(
+        ([userId, productIds]) => [userId, Array.from(productIds)]
+      ),
+    };
+  }
+
+  // Replace the engine's learned state with a previously exported one
+  importState(state) {
+    this.trainedAt = state.trainedAt ? new Date(state.trainedAt) : null;
+    this.idf = new Map(state.idf);
+    this.productFeatures = new Map(
+      state.productFeatures.map(([productId, features]) => [
+        productId,
+        {
+          ...features,
+          textVector: new Map(features.textVector),
+          textSimilarities: new Map(),
+        },
+      ])
+    );
+    this.semanticIndex = LatentSemanticIndex.fromJSON(
+      state.semanticIndex,
+      new Map(
+        Array.from(this.productFeatures, ([productId, features]) => [
+          productId,
+          features.textVector,
+        ])
+      )
+    );
+    this.buildProductIndex();
+    this.userItemMatrix = new Map(
+      state.userItemMatrix.map(([userId, interactions]) => [
+        userId,
+        new Map(interactions),
+      ])
+    );
+    this.userSimilarity = new UserSimilarityIndex().build(this.userItemMatrix);
+    this.matrixFactorization = MatrixFactorization.fromJSON(
+      state.matrixFactorization
+    );
+    this.itemNeighbors = ItemNeighborIndex.fromJSON(state.itemNeighbors);
+    this.sessionTransitions = SessionTransitionModel.fromJSON(
+      state.sessionTransitions
+    );
+    this.associationRules = AssociationRuleMiner.fromJSON(
+      state.associationRules
+    );
+    this.complementModel = ComplementModel.fromJSON(state.complementModel);
+    this.popularity = PopularityIndex.fromJSON(state.popularity);
+    this.priceSensitivity = PriceSensitivityModel.fromJSON(
+      state.priceSensitivity
+    );
+    this.hiddenProducts = new Map(
+      state.hiddenProducts.map(([userId, productIds]) => [
+        userId,
+        new Set(productIds),
+      ])
+    );
+  }
+
+  // Persist the trained model to a snapshot file
+  async saveSnapshot() {
+    try {
+      this.snapshot = await saveSnapshot(this.exportState());
+      console.log(`💾 Saved model snapshot ${this.snapshot.file}`);
+    } catch (error) {
+      console.error("Error saving model snapshot:", error);
+    }
+  }
+
+  // Warm-start from the latest compatible snapshot. Returns true on success.
+  async loadSnapshot() {
+    try {
+      const snapshot = await loadLatestSnapshot();
+      if (!snapshot) return false;
+
+      this.importState(snapshot.state);
+      this.snapshot = snapshot.metadata;
+      this.modelSource = "snapshot";
+      await this.trainStrategies();
+      await this.cache.invalidateAll();
+      console.log(
+        `✅ Recommendation engine warm-started from snapshot ${snapshot.metadata.file}`
+      );
+      return true;
+    } catch (error) {
+      console.error("Error loading model snapshot:", error);
+      return false;
+    }
   }
 
-  // Initialize the recommendation engine with product data
-  async initialize() {
+  // Register strategy plugins from a directory; called at startup, before
+  // the model is trained or loaded
+  async loadStrategyPlugins(directory = process.env.STRATEGY_PLUGINS_DIR) {
+    if (!directory) return [];
+
     try {
-      const products = await Product.find({});
-      this.buildProductFeatures(products);
-      await this.buildUserItemMatrix();
+      const names = await this.strategies.loadDirectory(
+        path.resolve(directory)
+      );
       console.log(
-        "Recommendation engine initialized with",
-        products.length,
-        "products"
+        `🧩 Registered ${names.length} strategy plugins: ${names.join(", ")}`
       );
+      return names;
+    } catch (error) {
+      console.error("Error loading strategy plugins:", error);
+      return [];
+    }
+  }
+
+  // Let strategies learn from the current model
+  async trainStrategies() {
+    await this.strategies.train(this);
+  }
+
+  // Recommendations from a registered strategy. Recommendations returned
+  // without reasons are explained by the strategy when it can.
+  async recommend(name, context) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) throw new Error(`Unknown recommendation strategy: ${name}`);
+
+    const {
+      userId = null,
+      limit = 10,
+      params = {},
+      preferences = null,
+    } = context;
+    const strategyContext = { userId, limit, params, preferences };
+    const recommendations = await strategy.recommend(this, strategyContext);
+    if (!strategy.explain) return recommendations;
+
+    return recommendations.map((rec) =>
+      rec.reasons?.length > 0
+        ? rec
+        : { ...rec, reasons: strategy.explain(this, rec, strategyContext) }
+    );
+  }
+
+  // Reload merchandising rules; called at startup and after admin changes
+  async loadMerchandisingRules() {
+    try {
+      this.merchandisingRules = await MerchandisingRule.getActiveRules();
+    } catch (error) {
+      console.error("Error loading merchandising rules:", error);
+    }
+  }
+
+  // Reload admin complement rules; called at startup and after rule changes
+  async loadComplementRules() {
+    try {
+      this.complementRules = await ComplementRule.getActiveRules();
+    } catch (error) {
+      console.error("Error loading complement rules:", error);
+    }
+  }
+
+  // Restore learned hybrid arm statistics; called at startup
+  async loadBanditStats() {
+    try {
+      this.hybridBandit.load(await BanditArm.find({}).lean());
     } catch (error) {
-      console.error("Error initializing recommendation engine:", error);
+      console.error("Error loading bandit statistics:", error);
     }
   }
 
-  // Build TF-IDF features for products
+  getUserSegment(userId) {
+    return userSegment(this.userItemMatrix.get(userId)?.size || 0);
+  }
+
+  // Choose hybrid blend settings for the user's segment
+  selectHybridArm(userId) {
+    const segment = this.getUserSegment(userId);
+    return { segment, arm: this.hybridBandit.select(segment) };
+  }
+
+  // Remember a hybrid list served with an arm so engagement can reward it
+  async recordHybridImpression(userId, segment, armKey, recommendations) {
+    await this.persistBanditOutcome(
+      this.hybridBandit.recordImpression(
+        userId,
+        segment,
+        armKey,
+        recommendations.map((rec) => rec.product_id),
+        this.now()
+      )
+    );
+  }
+
+  async persistBanditOutcome(outcome) {
+    if (!outcome) return;
+    try {
+      await BanditArm.recordOutcome(outcome);
+    } catch (error) {
+      console.error("Error saving bandit statistics:", error);
+    }
+  }
+
+  getBanditStats() {
+    return this.hybridBandit.summary();
+  }
+
+  // Recommendations from `compute()`, reused until the TTL expires or an
+  // invalidation. `key` holds the userId, strategy, limit and params.
+  // Availability is re-checked on every call, cached or not.
+  async cached(key, compute) {
+    return this.refreshAvailability(await this.cache.wrap(key, compute));
+  }
+
+  // Final stage for any list of products: boost, bury, pin and exclude
+  // according to the merchandising rules in effect now
+  applyMerchandising(products) {
+    return applyMerchandisingRules(
+      products,
+      this.merchandisingRules,
+      this.now()
+    );
+  }
+
+  // Metadata about the model currently being served
+  getModelInfo() {
+    return {
+      source: this.modelSource,
+      trainedAt: this.trainedAt,
+      products: this.productFeatures.size,
+      users: this.userItemMatrix.size,
+      snapshot: this.snapshot,
+    };
+  }
+
+  // Build TF-IDF features and their LSA embedding for products
   buildProductFeatures(products) {
-    this.tfidf = new TfIdf();
+    const documents = new Map();
 
     products.forEach((product) => {
-      // Combine all text features for TF-IDF
-      const textFeatures = [
+      documents.set(product.product_id, this.tokenizeProduct(product));
+    });
+
+    const { vectors, idf } = buildTfIdfVectors(documents);
+    this.idf = idf;
+    this.semanticIndex = new LatentSemanticIndex({
+      dimensions: this.getLsaDimensions(),
+    }).build(vectors);
+    this.productFeatures = new Map();
+
+    products.forEach((product) => {
+      this.productFeatures.set(
+        product.product_id,
+        this.extractProductFeatures(product, vectors.get(product.product_id))
+      );
+    });
+
+    this.buildProductIndex();
+  }
+
+  // Combine all text features for TF-IDF
+  tokenizeProduct(product) {
+    return tokenize(
+      [
         product.product_name,
         product.description,
         product.category,
         product.subcategory,
         product.manufacturer,
-      ]
-        .join(" ")
-        .toLowerCase();
-
-      // Add stemmed words to TF-IDF
-      const stemmedText = textFeatures
-        .split(" ")
-        .map((word) => stemmer.stem(word))
-        .join(" ");
-
-      this.tfidf.addDocument(stemmedText);
-
-      // Store additional features
-      this.productFeatures.set(product.product_id, {
-        category: product.category,
-        subcategory: product.subcategory,
-        price: product.price,
-        rating: product.rating,
-        is_featured: product.is_featured,
-        is_on_sale: product.is_on_sale,
-        manufacturer: product.manufacturer,
-        textIndex: this.tfidf.documents.length - 1,
-      });
-    });
+      ].join(" ")
+    );
+  }
+
+  extractProductFeatures(product, textVector) {
+    return {
+      category: product.category,
+      subcategory: product.subcategory,
+      price: product.price,
+      effective_price: effectivePrice(product),
+      rating: product.rating,
+      is_featured: product.is_featured,
+      is_on_sale: product.is_on_sale,
+      manufacturer: product.manufacturer,
+      textVector,
+      textSimilarities: new Map(),
+    };
+  }
+
+  // Add or refresh a single product without retraining. Terms new to the
+  // catalog are ignored until the next full retrain.
+  async upsertProduct(product) {
+    this.indexProduct(product);
+    await this.cache.invalidateAll();
+  }
+
+  indexProduct(product) {
+    const productId = product.product_id;
+    const textVector = vectorize(this.tokenizeProduct(product), this.idf);
+
+    this.unindexProduct(productId);
+    this.productFeatures.set(
+      productId,
+      this.extractProductFeatures(product, textVector)
+    );
+    const embedding = this.semanticIndex.project(textVector);
+    if (embedding) this.semanticIndex.embeddings.set(productId, embedding);
+    this.updateStockLevels([product]);
+
+    const vector = this.getProductVector(productId);
+    if (vector.length === this.productIndex.dimensions) {
+      this.productIndex.add(productId, vector);
+    } else {
+      this.buildProductIndex();
+    }
+  }
+
+  async removeProduct(productId) {
+    this.unindexProduct(productId);
+    await this.cache.invalidateAll();
+  }
+
+  // Follow catalog writes: `events` emits "change" with a product_id when a
+  // product is created, updated or deleted
+  watchCatalog(events) {
+    events.on("change", (productId) => this.syncProduct(productId));
+  }
+
+  // Re-read one product and upsert or remove it
+  async syncProduct(productId) {
+    try {
+      const product = await Product.findOne({ product_id: productId });
+      this.pendingProducts?.set(productId, product);
+      if (product) {
+        await this.upsertProduct(product);
+      } else {
+        await this.removeProduct(productId);
+      }
+    } catch (error) {
+      console.error(`Error syncing product ${productId}:`, error);
+    }
+  }
+
+  unindexProduct(productId) {
+    this.productFeatures.delete(productId);
+    for (const features of this.productFeatures.values()) {
+      features.textSimilarities.delete(productId);
+    }
+    this.semanticIndex.embeddings.delete(productId);
+    this.productIndex.remove(productId);
+    this.stockLevels.delete(productId);
+  }
+
+  // Dense vector whose cosine similarities approximate the text, category
+  // and subcategory terms of calculateProductSimilarity
+  getProductVector(productId) {
+    const features = this.productFeatures.get(productId);
+    const embedding =
+      this.semanticIndex.embeddings.get(productId) ||
+      new Array(this.semanticIndex.rank).fill(0);
+    const scale = (vector, weight) => vector.map((x) => x * Math.sqrt(weight));
+
+    return [
+      ...scale(embedding, PRODUCT_SIMILARITY_WEIGHTS.text),
+      ...scale(
+        hashedUnitVector(
+          `category:${features.category}`,
+          CATEGORY_VECTOR_DIMENSIONS
+        ),
+        PRODUCT_SIMILARITY_WEIGHTS.category
+      ),
+      ...scale(
+        hashedUnitVector(
+          `subcategory:${features.category}/${features.subcategory}`,
+          CATEGORY_VECTOR_DIMENSIONS
+        ),
+        PRODUCT_SIMILARITY_WEIGHTS.subcategory
+      ),
+    ];
+  }
+
+  buildProductIndex() {
+    this.productIndex = new LshIndex().build(
+      new Map(
+        Array.from(this.productFeatures.keys(), (productId) => [
+          productId,
+          this.getProductVector(productId),
+        ])
+      )
+    );
+  }
+
+  // Candidate products for exact similarity scoring against a product,
+  // skipping ids in `exclude`
+  findSimilarCandidates(productId, limit = 10, exclude = new Set()) {
+    if (!this.productFeatures.has(productId)) return [];
+
+    return this.productIndex
+      .query(
+        this.getProductVector(productId),
+        Math.max(limit * ANN_CANDIDATE_FACTOR, MIN_ANN_CANDIDATES),
+        { exclude: new Set([...exclude, productId]) }
+      )
+      .map(({ id }) => id);
+  }
+
+  getLsaDimensions() {
+    return (
+      this.lsaDimensions ??
+      parseInt(process.env.LSA_DIMENSIONS || `${DEFAULT_LSA_DIMENSIONS}`)
+    );
+  }
+
+  // Cosine similarity of two products' LSA embeddings, floored at zero.
+  // Null when either product has no embedding.
+  getSemanticSimilarity(productId1, productId2) {
+    const similarity = this.semanticIndex.similarity(productId1, productId2);
+    return similarity === null ? null : Math.max(0, similarity);
+  }
+
+  // Products whose LSA embedding is closest to a free-text query, best first
+  semanticSearch(query, minScore = 0) {
+    return this.semanticIndex.search(
+      vectorize(tokenize(query), this.idf),
+      Infinity,
+      minScore
+    );
+  }
+
+  // Cached cosine similarity between two products' TF-IDF vectors
+  getTextSimilarity(productId1, productId2) {
+    const features1 = this.productFeatures.get(productId1);
+    const features2 = this.productFeatures.get(productId2);
+    if (!features1 || !features2) return 0;
+
+    let similarity = features1.textSimilarities.get(productId2);
+    if (similarity === undefined) {
+      similarity = cosineSimilarity(features1.textVector, features2.textVector);
+      features1.textSimilarities.set(productId2, similarity);
+      features2.textSimilarities.set(productId1, similarity);
+    }
+
+    return similarity;
   }
 
   // Build user-item interaction matrix
   async buildUserItemMatrix() {
     try {
       const users = await User.find({}).select("_id interactions");
+      this.loadUserItemMatrix(users);
+    } catch (error) {
+      console.error("Error building user-item matrix:", error);
+    }
+  }
 
-      users.forEach((user) => {
-        const userInteractions = new Map();
-        user.interactions.forEach((interaction) => {
-          const weight = this.getInteractionWeight(interaction.type);
-          const currentWeight =
-            userInteractions.get(interaction.productId) || 0;
-          userInteractions.set(interaction.productId, currentWeight + weight);
-        });
-        this.userItemMatrix.set(user._id.toString(), userInteractions);
+  // Fill the user-item matrix, browsing transitions, basket rules and
+  // popularity counts from users' interaction lists
+  loadUserItemMatrix(users) {
+    const now = this.now();
+    this.userItemMatrix = new Map();
+    this.hiddenProducts = new Map();
+
+    users.forEach((user) => {
+      const userInteractions = new Map();
+      const hidden = new Set();
+      user.interactions.forEach((interaction) => {
+        const weight = this.getDecayedWeight(interaction, now);
+        const currentWeight = userInteractions.get(interaction.productId) || 0;
+        userInteractions.set(interaction.productId, currentWeight + weight);
+        if (interaction.type === "hide") hidden.add(interaction.productId);
       });
+      this.userItemMatrix.set(user._id.toString(), userInteractions);
+      if (hidden.size > 0) {
+        this.hiddenProducts.set(user._id.toString(), hidden);
+      }
+    });
+
+    this.userSimilarity = new UserSimilarityIndex().build(this.userItemMatrix);
+    this.sessionTransitions = new SessionTransitionModel().build(users);
+    this.associationRules = new AssociationRuleMiner().build(users);
+    this.complementModel = new ComplementModel().build(
+      users,
+      (productId) => this.productFeatures.get(productId)?.subcategory
+    );
+    this.popularity = new PopularityIndex()
+      .build(users, (type) => this.getInteractionWeight(type))
+      .prune(now);
+    this.priceSensitivity = new PriceSensitivityModel().build(
+      users,
+      (productId) => this.getProductPrice(productId)
+    );
+  }
+
+  // Train the models derived from the user-item matrix
+  trainModels() {
+    this.trainMatrixFactorization();
+    this.itemNeighbors = new ItemNeighborIndex().build(this.userItemMatrix);
+  }
+
+  // Lighter alternative to trainModels(): re-fit user embeddings against
+  // the current item embeddings and rebuild item neighbors
+  refreshModels() {
+    this.matrixFactorization.foldInUsers(this.userItemMatrix);
+    this.itemNeighbors = new ItemNeighborIndex().build(this.userItemMatrix);
+  }
+
+  // Learn latent user and item embeddings from the user-item matrix
+  trainMatrixFactorization() {
+    try {
+      this.matrixFactorization = new MatrixFactorization().fit(
+        this.userItemMatrix
+      );
     } catch (error) {
-      console.error("Error building user-item matrix:", error);
+      console.error("Error training matrix factorization model:", error);
     }
   }
 
-  // Get weight for different interaction types
+  // Exponential decay factor for an interaction of the given type and age
+  getDecayFactor(type, timestamp, now = this.now()) {
+    const halfLife = this.halfLives[type];
+    if (!halfLife || !timestamp) return 1;
+
+    const ageInDays = Math.max(
+      0,
+      (now - new Date(timestamp).getTime()) / DAY_MS
+    );
+    return Math.pow(0.5, ageInDays / halfLife);
+  }
+
+  // Interaction weight after time decay
+  getDecayedWeight(interaction, now = this.now()) {
+    return (
+      this.getInteractionWeight(interaction.type) *
+      this.getDecayFactor(interaction.type, interaction.timestamp, now)
+    );
+  }
+
+  // Get weight for different interaction types. Negative feedback pulls
+  // scores down in every model trained on the user-item matrix.
   getInteractionWeight(type) {
     const weights = {
       view: 1,
       like: 3,
       cart_add: 5,
       purchase: 10,
+      dislike: -5,
+      hide: -10,
+    };
+    return weights[type] ?? 1;
+  }
+
+  // Category and current effective price of a catalog product
+  getProductPrice(productId) {
+    const features = this.productFeatures.get(productId);
+    if (!features) return null;
+    return {
+      category: features.category,
+      price: features.effective_price ?? features.price,
     };
-    return weights[type] || 1;
+  }
+
+  // How well a product's price fits the user's learned price range in its
+  // category, in (0, 1]; null without purchase history
+  getPriceFit(userId, productId) {
+    const product = this.getProductPrice(productId);
+    if (!userId || !product) return null;
+    return this.priceSensitivity.fit(userId, product.category, product.price);
+  }
+
+  // Multiplier applied to personalized scores for price fit
+  getPriceFitMultiplier(priceFit) {
+    return priceFit === null
+      ? 1
+      : 1 - PRICE_FIT_WEIGHT + PRICE_FIT_WEIGHT * priceFit;
+  }
+
+  // Reason to attach when a product sits well within the user's range
+  explainPriceFit(userId, product, priceFit) {
+    if (priceFit === null || priceFit < PRICE_FIT_REASON_THRESHOLD) return [];
+    const distribution = this.priceSensitivity.getDistribution(
+      userId,
+      product.category
+    );
+    return [
+      inYourPriceRange(
+        product.category,
+        this.priceSensitivity.describe(distribution).typicalPrice
+      ),
+    ];
+  }
+
+  // Learned price ranges for a user, overall and per category
+  getPriceProfile(userId) {
+    return this.priceSensitivity.summary(userId);
+  }
+
+  // A user's affinity for each of the given products, in [0, 1]: how much
+  // they engage with its category and manufacturer, how much similar users
+  // engaged with it and how well its price fits. Signals the user has no
+  // data for are left out. Null when nothing is known about the user.
+  getAffinityScores(userId, productIds, options = {}) {
+    const { favoriteCategories = [] } = options;
+    const interactions =
+      (userId && this.userItemMatrix.get(userId)) || new Map();
+
+    const categoryWeights = new Map();
+    const manufacturerWeights = new Map();
+    for (const [productId, weight] of interactions) {
+      const features = this.productFeatures.get(productId);
+      if (!features || weight <= 0) continue;
+      categoryWeights.set(
+        features.category,
+        (categoryWeights.get(features.category) || 0) + weight
+      );
+      manufacturerWeights.set(
+        features.manufacturer,
+        (manufacturerWeights.get(features.manufacturer) || 0) + weight
+      );
+    }
+
+    const collaborativeWeights = new Map();
+    for (const { userId: similarUserId, similarity } of this.findSimilarUsers(
+      userId,
+      AFFINITY_SIMILAR_USERS
+    )) {
+      for (const [productId, weight] of this.userItemMatrix.get(
+        similarUserId
+      )) {
+        if (weight <= 0) continue;
+        collaborativeWeights.set(
+          productId,
+          (collaborativeWeights.get(productId) || 0) + weight * similarity
+        );
+      }
+    }
+
+    const maxCategory = Math.max(0, ...categoryWeights.values());
+    const maxManufacturer = Math.max(0, ...manufacturerWeights.values());
+    const maxCollaborative = Math.max(
+      0,
+      ...productIds.map((id) => collaborativeWeights.get(id) || 0)
+    );
+    const signals = {
+      category: maxCategory > 0 || favoriteCategories.length > 0,
+      manufacturer: maxManufacturer > 0,
+      collaborative: maxCollaborative > 0,
+      priceFit: Boolean(
+        userId && this.priceSensitivity.getDistribution(userId)
+      ),
+    };
+    const totalWeight = Object.keys(signals)
+      .filter((signal) => signals[signal])
+      .reduce((sum, signal) => sum + AFFINITY_WEIGHTS[signal], 0);
+    if (totalWeight === 0) return null;
+
+    const scores = new Map();
+    for (const productId of productIds) {
+      const features = this.productFeatures.get(productId) || {};
+      const components = {
+        category: Math.max(
+          maxCategory > 0
+            ? (categoryWeights.get(features.category) || 0) / maxCategory
+            : 0,
+          favoriteCategories.includes(features.category) ? 1 : 0
+        ),
+        manufacturer:
+          maxManufacturer > 0
+            ? (manufacturerWeights.get(features.manufacturer) || 0) /
+              maxManufacturer
+            : 0,
+        collaborative:
+          maxCollaborative > 0
+            ? (collaborativeWeights.get(productId) || 0) / maxCollaborative
+            : 0,
+        priceFit: this.getPriceFit(userId, productId) ?? 0,
+      };
+
+      let affinity = 0;
+      for (const signal of Object.keys(signals)) {
+        if (signals[signal]) {
+          affinity += AFFINITY_WEIGHTS[signal] * components[signal];
+        }
+      }
+      scores.set(productId, affinity / totalWeight);
+    }
+
+    return scores;
+  }
+
+  // Products a user has hidden; these never appear in their recommendations
+  getHiddenProducts(userId) {
+    return (userId && this.hiddenProducts.get(userId)) || new Set();
+  }
+
+  // Read lazily so LOW_STOCK_THRESHOLD from .env applies to the singleton
+  getLowStockThreshold() {
+    return (
+      this.lowStockThreshold ??
+      parseInt(
+        process.env.LOW_STOCK_THRESHOLD || `${DEFAULT_LOW_STOCK_THRESHOLD}`
+      )
+    );
+  }
+
+  // Remember stock levels from freshly loaded product documents
+  updateStockLevels(products) {
+    for (const product of products) {
+      if (typeof product.quantity_in_stock === "number") {
+        this.stockLevels.set(product.product_id, product.quantity_in_stock);
+      }
+    }
+  }
+
+  // "in_stock", "low_stock" or "out_of_stock"; unseen products count as
+  // in stock until a product document says otherwise
+  getAvailability(productId) {
+    const quantity = this.stockLevels.get(productId);
+    if (quantity === undefined) return "in_stock";
+    if (quantity <= 0) return "out_of_stock";
+    if (quantity <= this.getLowStockThreshold()) return "low_stock";
+    return "in_stock";
+  }
+
+  // Products that must not be scored for a user: hidden or out of stock
+  getExcludedProducts(userId) {
+    const excluded = new Set(this.getHiddenProducts(userId));
+    for (const [productId, quantity] of this.stockLevels) {
+      if (quantity <= 0) excluded.add(productId);
+    }
+    return excluded;
+  }
+
+  // Last stage of every strategy: drop products that are now out of stock,
+  // tag the rest with their availability and move low-stock products down
+  applyAvailability(recommendations) {
+    this.updateStockLevels(recommendations);
+
+    const rankingScore = (rec) =>
+      (rec.combined_score ?? rec.similarity_score ?? 0) *
+      (rec.availability === "low_stock" ? LOW_STOCK_PENALTY : 1);
+
+    return recommendations
+      .map((rec) => ({
+        ...rec,
+        availability: this.getAvailability(rec.product_id),
+      }))
+      .filter((rec) => rec.availability !== "out_of_stock")
+      .sort((a, b) => rankingScore(b) - rankingScore(a));
+  }
+
+  // Re-tag a previously computed list against current stock levels, e.g.
+  // one served from the cache, dropping products that sold out since. The
+  // product documents in the list are stale, so they do not update stock.
+  refreshAvailability(recommendations) {
+    return recommendations
+      .map((rec) => ({
+        ...rec,
+        availability: this.getAvailability(rec.product_id),
+      }))
+      .filter((rec) => rec.availability !== "out_of_stock");
   }
 
   // Content-based filtering
   async getContentBasedRecommendations(userId, productId = null, limit = 10) {
     try {
       let targetProduct = null;
+      let seedInteractionType = null;
 
       if (productId) {
         // Recommend similar products to a specific product
         targetProduct = await Product.findOne({ product_id: productId });
       } else {
         // Recommend based on user's interaction history
-        const user = await User.findById(userId);
-        if (!user || user.interactions.length === 0) {
-          return this.getFallbackRecommendations(limit);
+        const interactions = await this.getUserInteractions(userId);
+        if (interactions.length === 0) {
+          return this.getFallbackRecommendations(limit, userId);
+        }
+
+        // Seed with the product carrying the most decayed interaction weight
+        const seedProductId = this.getSeedProductId(interactions);
+        if (seedProductId === null) {
+          return this.getFallbackRecommendations(limit, userId);
         }
 
-        // Find the most recent highly-weighted interaction
-        const sortedInteractions = user.interactions
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-          .sort(
-            (a, b) =>
-              this.getInteractionWeight(b.type) -
-              this.getInteractionWeight(a.type)
-          );
+        seedInteractionType = this.getStrongestInteractionType(
+          interactions,
+          seedProductId
+        );
 
         targetProduct = await Product.findOne({
-          product_id: sortedInteractions[0].productId,
+          product_id: seedProductId,
         });
       }
 
       if (!targetProduct) {
-        return this.getFallbackRecommendations(limit);
+        return this.getFallbackRecommendations(limit, userId);
       }
 
       const targetFeatures = this.productFeatures.get(targetProduct.product_id);
       if (!targetFeatures) {
-        return this.getFallbackRecommendations(limit);
+        return this.getFallbackRecommendations(limit, userId);
       }
 
-      // Calculate similarity scores
+      // Re-score approximate nearest neighbors exactly
       const similarities = [];
-      const allProducts = await Product.find({
-        product_id: { $ne: targetProduct.product_id },
+      const candidateIds = this.findSimilarCandidates(
+        targetProduct.product_id,
+        limit,
+        this.getExcludedProducts(userId)
+      );
+      const candidates = await Product.find({
+        product_id: { $in: candidateIds },
       });
+      this.updateStockLevels(candidates);
 
-      for (const product of allProducts) {
+      for (const product of candidates) {
+        if (!(product.quantity_in_stock > 0)) continue;
         const similarity = this.calculateProductSimilarity(
           targetProduct.product_id,
           product.product_id
         );
         if (similarity > 0) {
-          similarities.push({ product, similarity });
+          const priceFit = this.getPriceFit(userId, product.product_id);
+          similarities.push({
+            product,
+            priceFit,
+            similarity: similarity * this.getPriceFitMultiplier(priceFit),
+          });
         }
       }
 
       // Sort by similarity and return top recommendations
-      return similarities
-        .sort((a, b) => b.similarity - a.similarity)
-        .slice(0, limit)
-        .map((item) => ({
-          ...item.product.toObject(),
-          similarity_score: item.similarity,
-          recommendation_type: "content_based",
-        }));
+      return this.applyAvailability(
+        similarities
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, limit)
+          .map((item) => ({
+            ...item.product.toObject(),
+            similarity_score: item.similarity,
+            price_fit: item.priceFit,
+            recommendation_type: "content_based",
+            reasons: mergeReasons(
+              this.explainContentMatch(
+                targetProduct,
+                item.product,
+                seedInteractionType
+              ),
+              this.explainPriceFit(userId, item.product, item.priceFit)
+            ),
+          }))
+      );
     } catch (error) {
       console.error("Error in content-based recommendations:", error);
-      return this.getFallbackRecommendations(limit);
+      return this.getFallbackRecommendations(limit, userId);
+    }
+  }
+
+  // Raw interaction history for a user
+  async getUserInteractions(userId) {
+    const user = await User.findById(userId);
+    return user ? user.interactions : [];
+  }
+
+  // Reasons a product was recommended as similar to the target product
+  explainContentMatch(targetProduct, product, seedInteractionType = null) {
+    const reasons = [
+      seedInteractionType
+        ? becauseYouInteracted(targetProduct, seedInteractionType)
+        : similarToProduct(targetProduct),
+    ];
+
+    if (product.subcategory === targetProduct.subcategory) {
+      reasons.push(sameSubcategory(targetProduct));
+    }
+    if (product.manufacturer === targetProduct.manufacturer) {
+      reasons.push(sameManufacturer(targetProduct));
+    }
+
+    return reasons;
+  }
+
+  // Highest-weight interaction type a user has had with a product
+  getStrongestInteractionType(interactions, productId) {
+    let strongest = null;
+    for (const interaction of interactions) {
+      if (interaction.productId !== productId) continue;
+      if (
+        !strongest ||
+        this.getInteractionWeight(interaction.type) >
+          this.getInteractionWeight(strongest)
+      ) {
+        strongest = interaction.type;
+      }
+    }
+    return strongest;
+  }
+
+  // Product the user currently cares most about, by summed decayed weight.
+  // Null when the user only has negative feedback.
+  getSeedProductId(interactions, now = this.now()) {
+    const scores = new Map();
+    for (const interaction of interactions) {
+      scores.set(
+        interaction.productId,
+        (scores.get(interaction.productId) || 0) +
+          this.getDecayedWeight(interaction, now)
+      );
+    }
+
+    let seedProductId = null;
+    let bestScore = 0;
+    for (const [productId, score] of scores) {
+      if (score > bestScore) {
+        seedProductId = productId;
+        bestScore = score;
+      }
     }
+
+    return seedProductId;
   }
 
   // Calculate similarity between two products
@@ -175,18 +1243,25 @@ class RecommendationEngine {
 
     let similarity = 0;
 
-    // Text similarity using TF-IDF cosine similarity
-    const textSimilarity = this.tfidf.tfidf(
-      features1.textIndex,
-      features2.textIndex
+    const weights = PRODUCT_SIMILARITY_WEIGHTS;
+
+    // Text similarity: TF-IDF term overlap averaged with LSA similarity
+    const termSimilarity = this.getTextSimilarity(productId1, productId2);
+    const semanticSimilarity = this.getSemanticSimilarity(
+      productId1,
+      productId2
     );
-    similarity += textSimilarity * 0.4;
+    const textSimilarity =
+      semanticSimilarity === null
+        ? termSimilarity
+        : (termSimilarity + semanticSimilarity) / 2;
+    similarity += textSimilarity * weights.text;
 
     // Category similarity
     if (features1.category === features2.category) {
-      similarity += 0.3;
+      similarity += weights.category;
       if (features1.subcategory === features2.subcategory) {
-        similarity += 0.1;
+        similarity += weights.subcategory;
       }
     }
 
@@ -194,12 +1269,12 @@ class RecommendationEngine {
     const priceDiff = Math.abs(features1.price - features2.price);
     const maxPrice = Math.max(features1.price, features2.price);
     const priceSimilarity = maxPrice > 0 ? 1 - priceDiff / maxPrice : 1;
-    similarity += priceSimilarity * 0.1;
+    similarity += priceSimilarity * weights.price;
 
     // Rating similarity
     const ratingDiff = Math.abs(features1.rating - features2.rating);
     const ratingSimilarity = 1 - ratingDiff / 5;
-    similarity += ratingSimilarity * 0.1;
+    similarity += ratingSimilarity * weights.rating;
 
     return Math.min(similarity, 1);
   }
@@ -209,18 +1284,20 @@ class RecommendationEngine {
     try {
       const userInteractions = this.userItemMatrix.get(userId);
       if (!userInteractions || userInteractions.size === 0) {
-        return this.getFallbackRecommendations(limit);
+        return this.getFallbackRecommendations(limit, userId);
       }
 
       // Find similar users
       const similarUsers = this.findSimilarUsers(userId, 10);
 
       if (similarUsers.length === 0) {
-        return this.getFallbackRecommendations(limit);
+        return this.getFallbackRecommendations(limit, userId);
       }
 
       // Get recommendations based on similar users
       const recommendations = new Map();
+      // Number of similar users contributing to each product
+      const contributors = new Map();
 
       for (const { userId: similarUserId, similarity } of similarUsers) {
         const similarUserInteractions = this.userItemMatrix.get(similarUserId);
@@ -233,13 +1310,28 @@ class RecommendationEngine {
                 productId,
                 currentScore + weight * similarity
               );
+              contributors.set(
+                productId,
+                (contributors.get(productId) || 0) + 1
+              );
             }
           }
         }
       }
 
-      // Convert to array and sort
+      // Convert to array and sort, dropping products similar users disliked.
+      // Hidden products are already skipped as part of the user's own row.
+      const excluded = this.getExcludedProducts(userId);
       const sortedRecommendations = Array.from(recommendations.entries())
+        .filter(([productId, score]) => score > 0 && !excluded.has(productId))
+        .map(([productId, score]) => {
+          const priceFit = this.getPriceFit(userId, productId);
+          return [
+            productId,
+            score * this.getPriceFitMultiplier(priceFit),
+            priceFit,
+          ];
+        })
         .sort((a, b) => b[1] - a[1])
         .slice(0, limit);
 
@@ -249,91 +1341,377 @@ class RecommendationEngine {
       );
       const products = await Product.find({ product_id: { $in: productIds } });
 
-      return sortedRecommendations
-        .map(([productId, score]) => {
-          const product = products.find(
-            (p) => p.product_id === parseInt(productId)
-          );
-          return {
-            ...product.toObject(),
-            similarity_score: score,
-            recommendation_type: "collaborative",
-          };
-        })
-        .filter((item) => item.product_id);
+      return this.applyAvailability(
+        sortedRecommendations
+          .map(([productId, score, priceFit]) => {
+            const product = products.find(
+              (p) => p.product_id === parseInt(productId)
+            );
+            return {
+              ...product.toObject(),
+              similarity_score: score,
+              price_fit: priceFit,
+              recommendation_type: "collaborative",
+              reasons: mergeReasons(
+                [similarShoppers(contributors.get(productId))],
+                this.explainPriceFit(userId, product, priceFit)
+              ),
+            };
+          })
+          .filter((item) => item.product_id)
+      );
     } catch (error) {
       console.error("Error in collaborative recommendations:", error);
-      return this.getFallbackRecommendations(limit);
+      return this.getFallbackRecommendations(limit, userId);
     }
   }
 
-  // Find users similar to the given user
+  // Find users similar to the given user. Only users sharing a product
+  // with them are scored.
   findSimilarUsers(userId, limit = 10) {
     const userInteractions = this.userItemMatrix.get(userId);
     if (!userInteractions) return [];
 
-    const similarities = [];
+    return this.userSimilarity.findSimilar(userId, userInteractions, limit);
+  }
 
-    for (const [otherUserId, otherInteractions] of this.userItemMatrix) {
-      if (otherUserId !== userId && otherInteractions.size > 0) {
-        const similarity = this.calculateUserSimilarity(
-          userInteractions,
-          otherInteractions
-        );
-        if (similarity > 0.1) {
-          // Threshold for similarity
-          similarities.push({ userId: otherUserId, similarity });
-        }
+  // Significance-weighted cosine similarity between two users' rows
+  calculateUserSimilarity(interactions1, interactions2) {
+    return this.userSimilarity.similarity(interactions1, interactions2);
+  }
+
+  // Matrix factorization recommendations from learned embeddings
+  async getMatrixFactorizationRecommendations(userId, limit = 10) {
+    try {
+      const userInteractions = this.userItemMatrix.get(userId);
+      if (
+        !userInteractions ||
+        userInteractions.size === 0 ||
+        !this.matrixFactorization.hasUser(userId)
+      ) {
+        return this.getFallbackRecommendations(limit, userId);
       }
+
+      // Excluding the user's row also excludes everything they hid
+      const exclude = this.getExcludedProducts(userId);
+      for (const productId of userInteractions.keys()) exclude.add(productId);
+      const scored = this.matrixFactorization.recommend(userId, limit, exclude);
+
+      if (scored.length === 0) {
+        return this.getFallbackRecommendations(limit, userId);
+      }
+
+      return this.hydrateRecommendations(
+        scored.map((item) => ({ ...item, reasons: [tasteProfile()] })),
+        "matrix_factorization"
+      );
+    } catch (error) {
+      console.error("Error in matrix factorization recommendations:", error);
+      return this.getFallbackRecommendations(limit, userId);
     }
+  }
 
-    return similarities
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, limit);
+  // Item-to-item collaborative filtering over the precomputed neighbor index
+  async getItemBasedRecommendations(userId, limit = 10) {
+    try {
+      const userInteractions = this.userItemMatrix.get(userId);
+      if (!userInteractions || userInteractions.size === 0) {
+        return this.getFallbackRecommendations(limit, userId);
+      }
+
+      const scored = this.itemNeighbors.recommend(
+        userInteractions,
+        limit,
+        this.getExcludedProducts(userId)
+      );
+      if (scored.length === 0) {
+        return this.getFallbackRecommendations(limit, userId);
+      }
+
+      // Name the user's own products that led to each recommendation
+      const contributorIds = [
+        ...new Set(scored.flatMap((item) => item.contributors.slice(0, 2))),
+      ];
+      const contributorProducts = await Product.find({
+        product_id: { $in: contributorIds },
+      });
+
+      return this.hydrateRecommendations(
+        scored.map((item) => ({
+          ...item,
+          reasons: item.contributors
+            .slice(0, 2)
+            .map((id) => contributorProducts.find((p) => p.product_id === id))
+            .filter(Boolean)
+            .map((product) => oftenChosenWith(product)),
+        })),
+        "item_cf"
+      );
+    } catch (error) {
+      console.error("Error in item-based recommendations:", error);
+      return this.getFallbackRecommendations(limit, userId);
+    }
   }
 
-  // Calculate cosine similarity between users
-  calculateUserSimilarity(interactions1, interactions2) {
-    const commonItems = new Set();
+  // Products most often interacted with alongside the given product
+  async getSimilarItems(productId, limit = 10, userId = null) {
+    try {
+      const excluded = this.getExcludedProducts(userId);
+      const neighbors = this.itemNeighbors
+        .getNeighbors(productId)
+        .filter((neighbor) => !excluded.has(neighbor.productId))
+        .slice(0, limit);
+      if (neighbors.length === 0) {
+        return this.getContentBasedRecommendations(userId, productId, limit);
+      }
+
+      const sourceProduct = await Product.findOne({ product_id: productId });
+      const scored = neighbors.map((neighbor) => ({
+        productId: neighbor.productId,
+        score: neighbor.similarity,
+        reasons: sourceProduct ? [oftenChosenWith(sourceProduct)] : [],
+      }));
+
+      return this.hydrateRecommendations(scored, "item_cf");
+    } catch (error) {
+      console.error("Error in similar items recommendations:", error);
+      return this.getContentBasedRecommendations(userId, productId, limit);
+    }
+  }
 
-    // Find common items
-    for (const productId of interactions1.keys()) {
-      if (interactions2.has(productId)) {
-        commonItems.add(productId);
+  // Product ids of the user's ongoing browsing session, oldest first
+  getCurrentSession(interactions) {
+    return this.sessionTransitions.currentSession(interactions, this.now());
+  }
+
+  // Products typically viewed next in a browsing session. `sequence` holds
+  // the session's product ids, most recent last.
+  async getNextItemRecommendations(sequence, limit = 10, userId = null) {
+    const currentId = sequence[sequence.length - 1];
+
+    try {
+      const scored = this.sessionTransitions.recommend(
+        sequence,
+        limit,
+        this.getExcludedProducts(userId)
+      );
+      if (scored.length === 0) {
+        return this.getSimilarItems(currentId, limit, userId);
       }
+
+      const fromProducts = await Product.find({
+        product_id: { $in: [...new Set(scored.map((item) => item.from))] },
+      });
+
+      return this.hydrateRecommendations(
+        scored.map((item) => {
+          const from = fromProducts.find((p) => p.product_id === item.from);
+          return { ...item, reasons: from ? [viewedNext(from)] : [] };
+        }),
+        "sequential"
+      );
+    } catch (error) {
+      console.error("Error in next-item recommendations:", error);
+      return this.getSimilarItems(currentId, limit, userId);
     }
+  }
 
-    if (commonItems.size === 0) return 0;
+  // Products frequently bought in the same basket as the given product,
+  // ranked by rule confidence. Each result carries the rule's measures.
+  async getBoughtTogether(productId, limit = 10, userId = null) {
+    try {
+      const excluded = this.getExcludedProducts(userId);
+      const rules = new Map();
+      for (const rule of this.associationRules.getRules(productId)) {
+        if (excluded.has(rule.consequent) || rules.has(rule.consequent)) {
+          continue;
+        }
+        rules.set(rule.consequent, rule);
+      }
+      const topRules = Array.from(rules.values()).slice(0, limit);
 
-    // Calculate cosine similarity
-    let dotProduct = 0;
-    let norm1 = 0;
-    let norm2 = 0;
+      const antecedentProducts = await Product.find({
+        product_id: {
+          $in: [...new Set(topRules.flatMap((rule) => rule.antecedent))],
+        },
+      });
 
-    for (const productId of commonItems) {
-      const weight1 = interactions1.get(productId) || 0;
-      const weight2 = interactions2.get(productId) || 0;
+      const recommendations = await this.hydrateRecommendations(
+        topRules.map((rule) => ({
+          productId: rule.consequent,
+          score: rule.confidence,
+          reasons: [
+            boughtTogether(
+              rule.antecedent
+                .map((id) =>
+                  antecedentProducts.find((p) => p.product_id === id)
+                )
+                .filter(Boolean)
+            ),
+          ],
+        })),
+        "bought_together"
+      );
 
-      dotProduct += weight1 * weight2;
-      norm1 += weight1 * weight1;
-      norm2 += weight2 * weight2;
+      return recommendations.map((rec) => {
+        const { antecedent, support, confidence, lift } = rules.get(
+          rec.product_id
+        );
+        return {
+          ...rec,
+          association: { antecedent, support, confidence, lift },
+        };
+      });
+    } catch (error) {
+      console.error("Error in bought together recommendations:", error);
+      return [];
     }
+  }
 
-    if (norm1 === 0 || norm2 === 0) return 0;
+  // Products from other subcategories that go with the product: targets of
+  // matching complement rules first, then the best-rated products of
+  // subcategories learned to be bought alongside its subcategory
+  async getComplements(productId, limit = 10, userId = null) {
+    try {
+      const sourceProduct = await Product.findOne({ product_id: productId });
+      if (!sourceProduct) return [];
+
+      const excluded = this.getExcludedProducts(userId);
+      excluded.add(productId);
+
+      // Manual product targets outrank every subcategory target
+      const productTargets = new Set();
+      const subcategoryTargets = new Map();
+      for (const rule of this.complementRules) {
+        if (!matchesComplementRule(rule, sourceProduct)) continue;
+        for (const target of rule.targets) {
+          if (target.productId !== undefined && target.productId !== null) {
+            productTargets.add(target.productId);
+          } else {
+            subcategoryTargets.set(target.subcategory, {
+              weight: 1,
+              complement: { source: "manual", subcategory: target.subcategory },
+            });
+          }
+        }
+      }
+      for (const complement of this.complementModel.getComplements(
+        sourceProduct.subcategory
+      )) {
+        if (subcategoryTargets.has(complement.subcategory)) continue;
+        subcategoryTargets.set(complement.subcategory, {
+          weight: complement.confidence,
+          complement: { source: "learned", ...complement },
+        });
+      }
+      subcategoryTargets.delete(sourceProduct.subcategory);
+
+      const priorRating = this.getPriorRating();
+      const quality = (id, features) =>
+        this.popularity.bayesianRating(id, features.rating, priorRating) / 5;
+
+      const scored = [];
+      for (const id of productTargets) {
+        const features = this.productFeatures.get(id);
+        if (!features || excluded.has(id)) continue;
+        scored.push({
+          productId: id,
+          score: 1 + quality(id, features),
+          complement: { source: "manual", subcategory: features.subcategory },
+        });
+      }
+
+      const bySubcategory = new Map();
+      for (const [id, features] of this.productFeatures) {
+        const target = subcategoryTargets.get(features.subcategory);
+        if (!target || excluded.has(id) || productTargets.has(id)) continue;
+        if (!bySubcategory.has(features.subcategory)) {
+          bySubcategory.set(features.subcategory, []);
+        }
+        bySubcategory.get(features.subcategory).push({
+          productId: id,
+          score:
+            target.weight *
+            quality(id, features) *
+            this.getPriceFitMultiplier(this.getPriceFit(userId, id)),
+          complement: target.complement,
+        });
+      }
+      for (const candidates of bySubcategory.values()) {
+        scored.push(
+          ...candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, COMPLEMENTS_PER_SUBCATEGORY)
+        );
+      }
+
+      const top = scored.sort((a, b) => b.score - a.score).slice(0, limit);
+      const complements = new Map(
+        top.map(({ productId: id, complement }) => [id, complement])
+      );
+      const recommendations = await this.hydrateRecommendations(
+        top.map(({ productId: id, score }) => ({
+          productId: id,
+          score,
+          reasons: [pairsWellWith(sourceProduct)],
+        })),
+        "complement"
+      );
+
+      return recommendations.map((rec) => ({
+        ...rec,
+        complement: complements.get(rec.product_id),
+      }));
+    } catch (error) {
+      console.error("Error in complementary recommendations:", error);
+      return [];
+    }
+  }
+
+  // Frequent three-product baskets containing the product, skipping any
+  // with a hidden or out-of-stock product
+  getBundles(productId, userId = null) {
+    const excluded = this.getExcludedProducts(userId);
+    return this.associationRules
+      .getBundles(productId)
+      .filter((bundle) => !bundle.productIds.some((id) => excluded.has(id)));
+  }
+
+  // Load product documents for a scored list, preserving its order
+  async hydrateRecommendations(scored, recommendationType) {
+    const products = await Product.find({
+      product_id: { $in: scored.map(({ productId }) => productId) },
+    });
 
-    return dotProduct / (Math.sqrt(norm1) * Math.sqrt(norm2));
+    return this.applyAvailability(
+      scored
+        .map(({ productId, score, reasons = [] }) => {
+          const product = products.find((p) => p.product_id === productId);
+          if (!product) return null;
+          return {
+            ...product.toObject(),
+            similarity_score: score,
+            recommendation_type: recommendationType,
+            reasons,
+          };
+        })
+        .filter(Boolean)
+    );
   }
 
   // Hybrid recommendations combining content-based and collaborative
-  async getHybridRecommendations(userId, limit = 10) {
+  async getHybridRecommendations(userId, limit = 10, options = {}) {
+    const {
+      candidateFraction = 0.7,
+      contentWeight = 0.6,
+      collaborativeWeight = 0.4,
+    } = options;
+
     try {
+      const candidateLimit = Math.ceil(limit * candidateFraction);
       const [contentRecs, collabRecs] = await Promise.all([
-        this.getContentBasedRecommendations(
-          userId,
-          null,
-          Math.ceil(limit * 0.7)
-        ),
-        this.getCollaborativeRecommendations(userId, Math.ceil(limit * 0.7)),
+        this.getContentBasedRecommendations(userId, null, candidateLimit),
+        this.getCollaborativeRecommendations(userId, candidateLimit),
       ]);
 
       // Combine and deduplicate
@@ -343,7 +1721,7 @@ class RecommendationEngine {
       contentRecs.forEach((rec) => {
         combinedRecs.set(rec.product_id, {
           ...rec,
-          combined_score: rec.similarity_score * 0.6,
+          combined_score: rec.similarity_score * contentWeight,
           recommendation_type: "hybrid",
         });
       });
@@ -352,75 +1730,208 @@ class RecommendationEngine {
       collabRecs.forEach((rec) => {
         const existing = combinedRecs.get(rec.product_id);
         if (existing) {
-          existing.combined_score += rec.similarity_score * 0.4;
+          existing.combined_score += rec.similarity_score * collaborativeWeight;
+          existing.reasons = mergeReasons(existing.reasons, rec.reasons);
         } else {
           combinedRecs.set(rec.product_id, {
             ...rec,
-            combined_score: rec.similarity_score * 0.4,
+            combined_score: rec.similarity_score * collaborativeWeight,
             recommendation_type: "hybrid",
           });
         }
       });
 
       // Sort by combined score and return top recommendations
-      return Array.from(combinedRecs.values())
-        .sort((a, b) => b.combined_score - a.combined_score)
-        .slice(0, limit);
+      return this.applyAvailability(Array.from(combinedRecs.values())).slice(
+        0,
+        limit
+      );
     } catch (error) {
       console.error("Error in hybrid recommendations:", error);
-      return this.getFallbackRecommendations(limit);
+      return this.getFallbackRecommendations(limit, userId);
     }
   }
 
-  // Fallback recommendations for new users or when other methods fail
-  async getFallbackRecommendations(limit = 10) {
+  // Products whose interaction rate in the window is above their baseline,
+  // topped up with popular products when too few are trending
+  async getTrendingRecommendations(limit = 10, options = {}) {
+    const {
+      window = DEFAULT_TRENDING_WINDOW,
+      category = null,
+      userId = null,
+    } = options;
+
     try {
-      const products = await Product.find({})
-        .sort({ rating: -1, view_count: -1, is_featured: -1 })
-        .limit(limit);
-
-      return products.map((product) => ({
-        ...product.toObject(),
-        similarity_score: product.rating / 5,
-        recommendation_type: "fallback",
-      }));
+      const now = this.now();
+      const excluded = this.getExcludedProducts(userId);
+      const scored = this.popularity
+        .prune(now)
+        .trending(TRENDING_WINDOWS[window], now)
+        .filter(
+          ({ productId }) =>
+            !excluded.has(productId) &&
+            (!category ||
+              this.productFeatures.get(productId)?.category === category)
+        )
+        .slice(0, limit)
+        .map(({ productId, score }) => ({
+          productId,
+          score,
+          reasons: [trendingNow(window)],
+        }));
+
+      const trending = await this.hydrateRecommendations(scored, "trending");
+      if (trending.length >= limit) return trending;
+
+      const seen = new Set(trending.map((rec) => rec.product_id));
+      const popular = await this.getFallbackRecommendations(
+        limit + seen.size,
+        userId,
+        { category }
+      );
+      return [
+        ...trending,
+        ...popular.filter((rec) => !seen.has(rec.product_id)),
+      ].slice(0, limit);
+    } catch (error) {
+      console.error("Error in trending recommendations:", error);
+      return this.getFallbackRecommendations(limit, userId, { category });
+    }
+  }
+
+  // Add a reason to recommendations in the user's favorite categories
+  addPreferenceReasons(recommendations, favoriteCategories = []) {
+    if (!favoriteCategories || favoriteCategories.length === 0) {
+      return recommendations;
+    }
+
+    return recommendations.map((rec) =>
+      favoriteCategories.includes(rec.category)
+        ? {
+            ...rec,
+            reasons: mergeReasons(rec.reasons || [], [
+              favoriteCategory(rec.category),
+            ]),
+          }
+        : rec
+    );
+  }
+
+  // Re-rank scored recommendations for diversity using product similarity
+  diversify(recommendations, diversity, limit = 10) {
+    return mmrRerank(
+      recommendations,
+      (a, b) => this.calculateProductSimilarity(a.product_id, b.product_id),
+      diversity,
+      limit
+    );
+  }
+
+  // Intra-list diversity of a recommendation list
+  getIntraListDiversity(recommendations) {
+    return intraListDiversity(recommendations, (a, b) =>
+      this.calculateProductSimilarity(a.product_id, b.product_id)
+    );
+  }
+
+  // Mean catalog rating, the prior for Bayesian-averaged ratings
+  getPriorRating() {
+    let sum = 0;
+    for (const features of this.productFeatures.values()) {
+      sum += features.rating || 0;
+    }
+    return this.productFeatures.size > 0 ? sum / this.productFeatures.size : 3;
+  }
+
+  // Fallback recommendations for new users or when other methods fail:
+  // the most popular products by Bayesian-averaged rating
+  async getFallbackRecommendations(limit = 10, userId = null, options = {}) {
+    try {
+      const hidden = this.getHiddenProducts(userId);
+      const filter = { quantity_in_stock: { $gt: 0 } };
+      if (hidden.size > 0) filter.product_id = { $nin: Array.from(hidden) };
+      if (options.category) filter.category = options.category;
+
+      const priorRating = this.getPriorRating();
+      const products = (await Product.find(filter))
+        .map((product) => ({
+          product,
+          rating: this.popularity.bayesianRating(
+            product.product_id,
+            product.rating,
+            priorRating
+          ),
+        }))
+        .sort(
+          (a, b) =>
+            b.rating - a.rating ||
+            (b.product.view_count || 0) - (a.product.view_count || 0)
+        )
+        .slice(0, limit);
+
+      return this.applyAvailability(
+        products.map(({ product, rating }) => ({
+          ...product.toObject(),
+          bayesian_rating: rating,
+          similarity_score: rating / 5,
+          recommendation_type: "fallback",
+          reasons: [topRated(rating)],
+        }))
+      );
     } catch (error) {
       console.error("Error in fallback recommendations:", error);
       return [];
     }
   }
 
-  // Update user interaction and retrain if needed
+  // Update user interaction and retrain if needed. `product` is the catalog
+  // document when the caller has already loaded it.
   async updateUserInteraction(
     userId,
     productId,
     interactionType,
-    rating = null
+    rating = null,
+    product = null
   ) {
     try {
       const user = await User.findById(userId);
       if (user) {
-        await user.addInteraction(productId, interactionType, rating);
-
-        // Update the in-memory user-item matrix
-        const userInteractions = this.userItemMatrix.get(userId) || new Map();
-        const weight = this.getInteractionWeight(interactionType);
-        const currentWeight = userInteractions.get(productId) || 0;
-        userInteractions.set(productId, currentWeight + weight);
-        this.userItemMatrix.set(userId, userInteractions);
+        const previous = user.interactions[user.interactions.length - 1];
+        // Keep the price paid, which may differ from later catalog prices.
+        // The in-memory features only catch up on the next refresh.
+        let price = null;
+        if (PRICE_SIGNAL_WEIGHTS[interactionType]) {
+          price = product
+            ? effectivePrice(product)
+            : this.getProductPrice(productId)?.price ?? null;
+        }
+        await user.addInteraction(productId, interactionType, rating, price);
+        const latest = user.interactions[user.interactions.length - 1];
+        this.applyInteraction(userId, previous, latest);
+        this.pendingInteractions?.push({ userId, previous, latest });
+        await this.persistBanditOutcome(
+          this.hybridBandit.recordReward(
+            userId,
+            productId,
+            interactionType,
+            this.now()
+          )
+        );
+        await this.cache.invalidateUser(userId);
 
         // Update product metrics
-        const product = await Product.findOne({ product_id: productId });
-        if (product) {
+        const metricsProduct =
+          product || (await Product.findOne({ product_id: productId }));
+        if (metricsProduct) {
           switch (interactionType) {
             case "view":
-              await product.incrementViewCount();
+              await metricsProduct.incrementViewCount();
               break;
             case "like":
-              await product.incrementLikeCount();
+              await metricsProduct.incrementLikeCount();
               break;
             case "purchase":
-              await product.incrementPurchaseCount();
+              await metricsProduct.incrementPurchaseCount();
               break;
           }
         }
@@ -429,8 +1940,152 @@ class RecommendationEngine {
       console.error("Error updating user interaction:", error);
     }
   }
+
+  // Fold a newly recorded interaction into the in-memory models
+  applyInteraction(userId, previous, interaction) {
+    const { productId, type } = interaction;
+    this.sessionTransitions.updateInteraction(previous, interaction);
+    const product = this.getProductPrice(productId);
+    if (product) {
+      this.priceSensitivity.recordInteraction(
+        userId,
+        product.category,
+        interaction.price ?? product.price,
+        type
+      );
+    }
+    this.popularity.recordInteraction(
+      interaction,
+      this.getInteractionWeight(type)
+    );
+
+    // Update the in-memory user-item matrix
+    const userInteractions = this.userItemMatrix.get(userId) || new Map();
+    const weight = this.getInteractionWeight(type);
+    const currentWeight = userInteractions.get(productId) || 0;
+    this.itemNeighbors.updateInteraction(
+      userInteractions,
+      productId,
+      currentWeight,
+      currentWeight + weight
+    );
+    this.userSimilarity.setWeight(
+      userId,
+      productId,
+      currentWeight,
+      currentWeight + weight
+    );
+    userInteractions.set(productId, currentWeight + weight);
+    this.userItemMatrix.set(userId, userInteractions);
+    this.matrixFactorization.foldInUser(userId, userInteractions);
+
+    if (type === "hide") {
+      if (!this.hiddenProducts.has(userId)) {
+        this.hiddenProducts.set(userId, new Set());
+      }
+      this.hiddenProducts.get(userId).add(productId);
+    }
+  }
+
+  // Undo the user's most recent interaction of a type with a product.
+  // Returns false when there was nothing to undo.
+  async removeUserInteraction(userId, productId, interactionType) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return false;
+
+      let index = -1;
+      user.interactions.forEach((interaction, i) => {
+        if (
+          interaction.productId === productId &&
+          interaction.type === interactionType
+        ) {
+          index = i;
+        }
+      });
+      if (index === -1) return false;
+
+      const previous = user.interactions[index - 1];
+      const next = user.interactions[index + 1];
+      const [removed] = user.interactions.splice(index, 1);
+      await user.save();
+
+      const remaining = user.interactions.filter(
+        (interaction) => interaction.productId === productId
+      );
+      const change = { userId, removed, remaining, previous, next };
+      this.revertInteraction(change);
+      this.pendingInteractions?.push(change);
+
+      await this.cache.invalidateUser(userId);
+
+      // Take the interaction back out of the product's metrics
+      const counter = PRODUCT_COUNTERS[interactionType];
+      if (counter) {
+        const product = await Product.findOne({ product_id: productId });
+        if (product?.[counter] > 0) {
+          product[counter] -= 1;
+          await product.save();
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error("Error removing user interaction:", error);
+      return false;
+    }
+  }
+
+  // Take an undone interaction back out of the in-memory models.
+  // `remaining` are the user's other interactions with the same product;
+  // `previous` and `next` its neighbors in the user's interaction list.
+  revertInteraction({ userId, removed, remaining, previous, next }) {
+    const { productId, type } = removed;
+    this.sessionTransitions.removeInteraction(previous, removed, next);
+    this.popularity.recordInteraction(
+      removed,
+      this.getInteractionWeight(type),
+      -1
+    );
+    const product = this.getProductPrice(productId);
+    if (product) {
+      this.priceSensitivity.recordInteraction(
+        userId,
+        product.category,
+        removed.price ?? product.price,
+        type,
+        -1
+      );
+    }
+
+    // Take the interaction's current contribution back out of the matrix
+    const userInteractions = this.userItemMatrix.get(userId) || new Map();
+    const currentWeight = userInteractions.get(productId) || 0;
+    const newWeight =
+      remaining.length > 0 ? currentWeight - this.getDecayedWeight(removed) : 0;
+
+    this.itemNeighbors.updateInteraction(
+      userInteractions,
+      productId,
+      currentWeight,
+      newWeight
+    );
+    this.userSimilarity.setWeight(userId, productId, currentWeight, newWeight);
+    if (remaining.length > 0) {
+      userInteractions.set(productId, newWeight);
+    } else {
+      userInteractions.delete(productId);
+    }
+    this.userItemMatrix.set(userId, userInteractions);
+    this.matrixFactorization.foldInUser(userId, userInteractions);
+
+    if (!remaining.some((interaction) => interaction.type === "hide")) {
+      this.hiddenProducts.get(userId)?.delete(productId);
+    }
+  }
 }
 
+export { RecommendationEngine };
+
 // Create singleton instance
 const recommendationEngine = new RecommendationEngine();
 
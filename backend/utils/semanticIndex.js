@@ -0,0 +1,191 @@
+import { Matrix, QrDecomposition, SingularValueDecomposition } from "ml-matrix";
+import { createRandom } from "./matrixFactorization.js";
+
+// Latent semantic indexing: a rank-k truncated SVD A ~ U_k S_k V_k^T of the
+// term-document matrix built from TF-IDF vectors. Any sparse TF-IDF vector d
+// (a product or a search query) maps into the latent space as U_k^T d, so
+// products sharing no terms can still be close when their terms co-occur
+// elsewhere in the catalog.
+//
+// The SVD is computed with a randomized range finder (Halko, Martinsson &
+// Tropp): A is only ever multiplied against thin dense matrices, which keeps
+// the decomposition cheap for a sparse catalog-sized corpus.
+
+const OVERSAMPLING = 10;
+const POWER_ITERATIONS = 2;
+
+const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm > 0 ? vector.map((x) => x / norm) : vector;
+};
+
+const dot = (a, b) => {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) total += a[i] * b[i];
+  return total;
+};
+
+class LatentSemanticIndex {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 50;
+    this.seed = options.seed ?? 42;
+
+    // term -> row of U_k
+    this.termBasis = new Map();
+    // productId -> L2-normalized latent vector
+    this.embeddings = new Map();
+  }
+
+  // Decompose a Map<productId, Map<term, weight>> of TF-IDF vectors
+  build(vectors) {
+    this.termBasis = new Map();
+    this.embeddings = new Map();
+
+    const documents = Array.from(vectors.entries()).filter(
+      ([, vector]) => vector && vector.size > 0
+    );
+    const terms = Array.from(
+      new Set(documents.flatMap(([, vector]) => Array.from(vector.keys())))
+    );
+    if (documents.length === 0 || terms.length === 0) return this;
+
+    const termIndex = new Map(terms.map((term, i) => [term, i]));
+    // Column j of A as (row, weight) pairs
+    const columns = documents.map(([, vector]) =>
+      Array.from(vector.entries()).map(([term, weight]) => [
+        termIndex.get(term),
+        weight,
+      ])
+    );
+
+    const rank = Math.min(this.dimensions, terms.length, documents.length);
+    const sketchSize = Math.min(
+      rank + OVERSAMPLING,
+      terms.length,
+      documents.length
+    );
+
+    // A X for a (documents x l) matrix X
+    const multiply = (X) => {
+      const result = Matrix.zeros(terms.length, X.columns);
+      columns.forEach((column, j) => {
+        for (const [i, weight] of column) {
+          for (let c = 0; c < X.columns; c++) {
+            result.set(i, c, result.get(i, c) + weight * X.get(j, c));
+          }
+        }
+      });
+      return result;
+    };
+
+    // A^T Y for a (terms x l) matrix Y
+    const multiplyTransposed = (Y) => {
+      const result = Matrix.zeros(documents.length, Y.columns);
+      columns.forEach((column, j) => {
+        for (const [i, weight] of column) {
+          for (let c = 0; c < Y.columns; c++) {
+            result.set(j, c, result.get(j, c) + weight * Y.get(i, c));
+          }
+        }
+      });
+      return result;
+    };
+
+    const orthonormalize = (M) => new QrDecomposition(M).orthogonalMatrix;
+
+    const random = createRandom(this.seed);
+    const omega = new Matrix(
+      Array.from({ length: documents.length }, () =>
+        Array.from({ length: sketchSize }, () => random() - 0.5)
+      )
+    );
+
+    let Q = orthonormalize(multiply(omega));
+    for (let i = 0; i < POWER_ITERATIONS; i++) {
+      Q = orthonormalize(multiply(orthonormalize(multiplyTransposed(Q))));
+    }
+
+    // B = Q^T A is small; its left singular vectors rotate Q onto U
+    const B = multiplyTransposed(Q).transpose();
+    const svd = new SingularValueDecomposition(B, { autoTranspose: true });
+    const U = Q.mmul(svd.leftSingularVectors).subMatrix(
+      0,
+      terms.length - 1,
+      0,
+      rank - 1
+    );
+
+    terms.forEach((term, i) => this.termBasis.set(term, U.getRow(i)));
+    documents.forEach(([productId, vector]) =>
+      this.embeddings.set(productId, this.project(vector))
+    );
+
+    return this;
+  }
+
+  get rank() {
+    const [basis] = this.termBasis.values();
+    return basis ? basis.length : 0;
+  }
+
+  // Normalized latent vector of a sparse TF-IDF vector; terms outside the
+  // vocabulary are ignored. Returns null when nothing could be projected.
+  project(vector) {
+    const latent = new Array(this.rank).fill(0);
+    let projected = false;
+
+    for (const [term, weight] of vector) {
+      const basis = this.termBasis.get(term);
+      if (!basis) continue;
+      for (let i = 0; i < latent.length; i++) latent[i] += weight * basis[i];
+      projected = true;
+    }
+
+    return projected ? normalize(latent) : null;
+  }
+
+  // Cosine similarity of two products in the latent space, or null when
+  // either has no embedding
+  similarity(productId1, productId2) {
+    const a = this.embeddings.get(productId1);
+    const b = this.embeddings.get(productId2);
+    if (!a || !b) return null;
+    return dot(a, b);
+  }
+
+  // Products closest to a sparse TF-IDF query vector, best first
+  search(vector, limit = Infinity, minScore = 0) {
+    const query = this.project(vector);
+    if (!query) return [];
+
+    const results = [];
+    for (const [productId, embedding] of this.embeddings) {
+      const score = dot(query, embedding);
+      if (score > minScore) results.push({ productId, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Plain-object form for model snapshots. Product embeddings are derived
+  // from the basis and the stored TF-IDF vectors, so only the basis is kept.
+  toJSON() {
+    return {
+      dimensions: this.dimensions,
+      seed: this.seed,
+      termBasis: Array.from(this.termBasis.entries()),
+    };
+  }
+
+  static fromJSON(data, vectors = new Map()) {
+    const index = new LatentSemanticIndex(data);
+    index.termBasis = new Map(data.termBasis);
+    for (const [productId, vector] of vectors) {
+      const embedding = vector ? index.project(vector) : null;
+      if (embedding) index.embeddings.set(productId, embedding);
+    }
+    return index;
+  }
+}
+
+export default LatentSemanticIndex;
@@ -0,0 +1,177 @@
+// First-order Markov model of browsing sequences. Interactions are ordered
+// by timestamp and split into sessions at gaps longer than `sessionGapMs`;
+// each step from one product to a different one within a session counts as
+// a transition. P(next | current) is the transition count over the total
+// number of transitions leaving the current product.
+
+// Negative feedback is not part of a browsing path
+const SEQUENCE_TYPES = new Set(["view", "like", "cart_add", "purchase"]);
+
+class SessionTransitionModel {
+  constructor(options = {}) {
+    this.sessionGapMs = options.sessionGapMs || 30 * 60 * 1000;
+    // How much less each earlier product in a session counts when scoring
+    this.historyDecay = options.historyDecay ?? 0.5;
+    this.historyLength = options.historyLength || 5;
+
+    this.transitions = new Map();
+    this.totals = new Map();
+  }
+
+  // Build transition counts from users' interaction lists
+  build(users) {
+    this.transitions = new Map();
+    this.totals = new Map();
+
+    for (const user of users) {
+      for (const session of this.splitSessions(user.interactions)) {
+        for (let i = 1; i < session.length; i++) {
+          this.addTransition(session[i - 1], session[i]);
+        }
+      }
+    }
+
+    return this;
+  }
+
+  // Timestamp-ordered product ids per session, with repeats collapsed
+  splitSessions(interactions = []) {
+    const ordered = interactions
+      .filter((interaction) => SEQUENCE_TYPES.has(interaction.type))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const sessions = [];
+    let current = [];
+    let lastTime = null;
+
+    for (const interaction of ordered) {
+      const time = new Date(interaction.timestamp).getTime();
+      if (lastTime !== null && time - lastTime > this.sessionGapMs) {
+        sessions.push(current);
+        current = [];
+      }
+      if (current[current.length - 1] !== interaction.productId) {
+        current.push(interaction.productId);
+      }
+      lastTime = time;
+    }
+    if (current.length > 0) sessions.push(current);
+
+    return sessions;
+  }
+
+  // Products in the latest session, if it is still open at `now`
+  currentSession(interactions = [], now = Date.now()) {
+    const latest = interactions
+      .filter((interaction) => SEQUENCE_TYPES.has(interaction.type))
+      .reduce(
+        (max, interaction) =>
+          Math.max(max, new Date(interaction.timestamp).getTime()),
+        -Infinity
+      );
+    if (now - latest > this.sessionGapMs) return [];
+
+    return this.splitSessions(interactions).pop() || [];
+  }
+
+  // Add `count` transitions, or take them back with a negative count
+  addTransition(fromId, toId, count = 1) {
+    if (fromId === toId) return;
+
+    if (!this.transitions.has(fromId)) this.transitions.set(fromId, new Map());
+    const row = this.transitions.get(fromId);
+    const rowCount = (row.get(toId) || 0) + count;
+    const total = (this.totals.get(fromId) || 0) + count;
+
+    if (rowCount > 0) row.set(toId, rowCount);
+    else row.delete(toId);
+    if (total > 0) {
+      this.totals.set(fromId, total);
+    } else {
+      this.transitions.delete(fromId);
+      this.totals.delete(fromId);
+    }
+  }
+
+  // Record (sign 1) or take back (sign -1) an interaction given the one
+  // before it, if any
+  updateInteraction(previous, interaction, sign = 1) {
+    if (!previous || !interaction) return;
+    if (!SEQUENCE_TYPES.has(interaction.type)) return;
+    if (!SEQUENCE_TYPES.has(previous.type)) return;
+
+    const gap = new Date(interaction.timestamp) - new Date(previous.timestamp);
+    if (gap > this.sessionGapMs) return;
+
+    this.addTransition(previous.productId, interaction.productId, sign);
+  }
+
+  // Take back an interaction that sat between `previous` and `next`,
+  // joining the two if they are now consecutive in a session
+  removeInteraction(previous, interaction, next) {
+    this.updateInteraction(previous, interaction, -1);
+    this.updateInteraction(interaction, next, -1);
+    this.updateInteraction(previous, next);
+  }
+
+  probability(fromId, toId) {
+    const total = this.totals.get(fromId);
+    if (!total) return 0;
+    return (this.transitions.get(fromId)?.get(toId) || 0) / total;
+  }
+
+  // Score likely next products for a session, most recent product last.
+  // Earlier products contribute with geometrically decaying weight.
+  recommend(sequence, limit = 10, exclude = new Set()) {
+    const history = sequence.slice(-this.historyLength).reverse();
+    const seen = new Set(sequence);
+    const scores = new Map();
+
+    history.forEach((fromId, position) => {
+      const row = this.transitions.get(fromId);
+      if (!row) return;
+
+      const weight = Math.pow(this.historyDecay, position);
+      for (const toId of row.keys()) {
+        if (seen.has(toId) || exclude.has(toId)) continue;
+        if (!scores.has(toId)) scores.set(toId, { score: 0, from: fromId });
+        scores.get(toId).score += weight * this.probability(fromId, toId);
+      }
+    });
+
+    // `from` is the most recent session product leading to each score
+    return Array.from(scores.entries())
+      .map(([productId, { score, from }]) => ({ productId, score, from }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Plain-object form for model snapshots
+  toJSON() {
+    return {
+      sessionGapMs: this.sessionGapMs,
+      historyDecay: this.historyDecay,
+      historyLength: this.historyLength,
+      transitions: Array.from(this.transitions.entries()).map(([id, row]) => [
+        id,
+        Array.from(row.entries()),
+      ]),
+    };
+  }
+
+  static fromJSON(data) {
+    const model = new SessionTransitionModel(data);
+    for (const [fromId, row] of data.transitions) {
+      for (const [toId, count] of row) {
+        if (!model.transitions.has(fromId)) {
+          model.transitions.set(fromId, new Map());
+        }
+        model.transitions.get(fromId).set(toId, count);
+        model.totals.set(fromId, (model.totals.get(fromId) || 0) + count);
+      }
+    }
+    return model;
+  }
+}
+
+export default SessionTransitionModel;
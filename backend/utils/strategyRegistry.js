@@ -0,0 +1,142 @@
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+// Registry of recommendation strategies, the algorithms selectable with
+// `type=` on GET /api/recommendations/personal. A strategy is a plain
+// object:
+//
+//   name          unique key, e.g. "hybrid"
+//   description   one line shown by GET /api/recommendations/strategies
+//   params        optional { [param]: { type, default, description } },
+//                 settable through experiment variant params
+//   cacheable     optional, default true; false when results depend on more
+//                 than the user's interactions and the params
+//   train(engine)
+//                 optional, may be async; called after the engine's own
+//                 models are trained or loaded from a snapshot
+//   recommend(engine, context)
+//                 async; scored products, best first. `context` is
+//                 { userId, limit, params, preferences }
+//   explain(engine, recommendation, context)
+//                 optional; reasons for a recommendation returned without
+//                 any
+//
+// Plugins are .js or .mjs modules in a directory whose default export is a
+// strategy or an array of strategies.
+
+const PLUGIN_EXTENSIONS = [".js", ".mjs"];
+
+// Validate a strategy definition, returning an error message or null
+export const validateStrategy = (strategy) => {
+  if (!strategy || typeof strategy !== "object") {
+    return "Strategy must be an object";
+  }
+  if (
+    typeof strategy.name !== "string" ||
+    !/^[a-z0-9_]+$/.test(strategy.name)
+  ) {
+    return "Strategy name must be lowercase letters, digits and underscores";
+  }
+  if (typeof strategy.recommend !== "function") {
+    return `Strategy ${strategy.name} needs a recommend function`;
+  }
+  for (const hook of ["train", "explain"]) {
+    if (strategy[hook] !== undefined && typeof strategy[hook] !== "function") {
+      return `Strategy ${strategy.name} ${hook} must be a function`;
+    }
+  }
+  if (
+    strategy.params !== undefined &&
+    (typeof strategy.params !== "object" || Array.isArray(strategy.params))
+  ) {
+    return `Strategy ${strategy.name} params must be an object`;
+  }
+
+  return null;
+};
+
+class StrategyRegistry {
+  constructor(strategies = []) {
+    this.strategies = new Map();
+    for (const strategy of strategies) this.register(strategy);
+  }
+
+  // Add a strategy. Names are unique unless `replace` is set.
+  register(strategy, { replace = false } = {}) {
+    const validationError = validateStrategy(strategy);
+    if (validationError) throw new Error(validationError);
+    if (this.strategies.has(strategy.name) && !replace) {
+      throw new Error(`Strategy ${strategy.name} is already registered`);
+    }
+
+    this.strategies.set(strategy.name, strategy);
+    return this;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  get(name) {
+    return this.strategies.get(name) || null;
+  }
+
+  names() {
+    return Array.from(this.strategies.keys());
+  }
+
+  // Public description of every strategy, in registration order
+  list() {
+    return Array.from(this.strategies.values()).map(
+      ({ name, description = "", params = {}, cacheable = true, train }) => ({
+        name,
+        description,
+        params,
+        cacheable,
+        trainable: Boolean(train),
+      })
+    );
+  }
+
+  // Register the strategies exported by every plugin module in a directory,
+  // in file name order. A plugin that fails to load or register is logged
+  // and skipped. Returns the names registered.
+  async loadDirectory(directory) {
+    const files = (await fs.promises.readdir(directory))
+      .filter((file) => PLUGIN_EXTENSIONS.includes(path.extname(file)))
+      .sort();
+
+    const registered = [];
+    for (const file of files) {
+      try {
+        const module = await import(
+          pathToFileURL(path.join(directory, file)).href
+        );
+        for (const strategy of [].concat(module.default)) {
+          this.register(strategy);
+          registered.push(strategy.name);
+        }
+      } catch (error) {
+        console.error(`Error loading strategy plugin ${file}:`, error);
+      }
+    }
+
+    return registered;
+  }
+
+  // Run every strategy's train hook. A failing strategy is logged and keeps
+  // serving with whatever it learned before.
+  async train(engine) {
+    for (const strategy of this.strategies.values()) {
+      if (!strategy.train) continue;
+      try {
+        await strategy.train(engine);
+      } catch (error) {
+        console.error(`Error training strategy ${strategy.name}:`, error);
+      }
+    }
+  }
+}
+
+export default StrategyRegistry;
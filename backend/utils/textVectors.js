@@ -0,0 +1,81 @@
+import natural from "natural";
+
+const stemmer = natural.PorterStemmer;
+const stopWords = new Set(natural.stopwords);
+
+// Lowercase, strip punctuation, drop stop words and apply Porter stemming
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !stopWords.has(word))
+    .map((word) => stemmer.stem(word));
+
+// Build L2-normalized sparse TF-IDF vectors for a Map<id, tokens[]>.
+// Returns Map<id, Map<term, weight>>.
+export const buildTfIdfVectors = (documents) => {
+  const documentFrequency = new Map();
+
+  for (const tokens of documents.values()) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const documentCount = documents.size;
+  const idf = new Map();
+  for (const [term, df] of documentFrequency) {
+    // Smoothed idf keeps terms present in every document from zeroing out
+    idf.set(term, Math.log((1 + documentCount) / (1 + df)) + 1);
+  }
+
+  const vectors = new Map();
+  for (const [id, tokens] of documents) {
+    vectors.set(id, vectorize(tokens, idf));
+  }
+
+  return { vectors, idf };
+};
+
+// Turn tokens into a normalized TF-IDF vector using a precomputed idf table.
+// Terms missing from the table are ignored.
+export const vectorize = (tokens, idf) => {
+  const termCounts = new Map();
+  for (const term of tokens) {
+    if (!idf.has(term)) continue;
+    termCounts.set(term, (termCounts.get(term) || 0) + 1);
+  }
+
+  const vector = new Map();
+  let norm = 0;
+  for (const [term, count] of termCounts) {
+    const weight = count * idf.get(term);
+    vector.set(term, weight);
+    norm += weight * weight;
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+  }
+
+  return vector;
+};
+
+// Cosine similarity of two L2-normalized sparse vectors
+export const cosineSimilarity = (vectorA, vectorB) => {
+  if (!vectorA || !vectorB) return 0;
+
+  const [smaller, larger] =
+    vectorA.size <= vectorB.size ? [vectorA, vectorB] : [vectorB, vectorA];
+
+  let dot = 0;
+  for (const [term, weight] of smaller) {
+    const other = larger.get(term);
+    if (other) dot += weight * other;
+  }
+
+  return dot;
+};
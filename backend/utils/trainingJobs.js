@@ -0,0 +1,27 @@
+import JobScheduler from "./jobScheduler.js";
+import recommendationEngine from "./recommender.js";
+
+// Scheduled background training for the recommendation engine. Schedules
+// are cron expressions and can be overridden through the environment.
+const trainingScheduler = new JobScheduler();
+
+// Register the training jobs. Reads the environment when called, so call it
+// after the environment is loaded.
+export const registerTrainingJobs = (scheduler = trainingScheduler) => {
+  scheduler.register("full_retrain", {
+    schedule: process.env.FULL_RETRAIN_CRON || "0 3 * * *",
+    description: "Retrain every recommendation model from scratch",
+    run: () => recommendationEngine.retrain("full"),
+  });
+
+  scheduler.register("incremental_refresh", {
+    schedule: process.env.INCREMENTAL_REFRESH_CRON || "*/30 * * * *",
+    description:
+      "Rebuild interaction-based models on top of the current item embeddings",
+    run: () => recommendationEngine.retrain("incremental"),
+  });
+
+  return scheduler;
+};
+
+export default trainingScheduler;
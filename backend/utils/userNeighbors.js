@@ -0,0 +1,125 @@
+// User-user cosine similarity over an inverted product -> users index. To
+// find a user's neighbors only the users sharing at least one product with
+// them are scored, by walking the posting lists of the user's products, so
+// a lookup costs the size of those lists rather than the number of users.
+//
+// Similarity is the cosine between full user rows of the user-item matrix,
+// damped by min(overlap, significanceOverlap) / significanceOverlap so that
+// users who share only one or two products do not look like close matches.
+
+class UserSimilarityIndex {
+  constructor(options = {}) {
+    this.significanceOverlap = options.significanceOverlap || 5;
+    this.minSimilarity = options.minSimilarity ?? 0.1;
+
+    // productId -> Map<userId, weight>
+    this.postings = new Map();
+    // userId -> squared norm of the user's full row
+    this.squaredNorms = new Map();
+  }
+
+  get size() {
+    return this.squaredNorms.size;
+  }
+
+  // Build the index from a Map<userId, Map<productId, weight>>
+  build(userItemMatrix) {
+    this.postings = new Map();
+    this.squaredNorms = new Map();
+
+    for (const [userId, interactions] of userItemMatrix) {
+      for (const [productId, weight] of interactions) {
+        this.setWeight(userId, productId, 0, weight);
+      }
+    }
+
+    return this;
+  }
+
+  // Apply a change of one user's weight on one product
+  setWeight(userId, productId, previousWeight, newWeight) {
+    const squaredNorm =
+      (this.squaredNorms.get(userId) || 0) +
+      newWeight * newWeight -
+      previousWeight * previousWeight;
+    this.squaredNorms.set(userId, Math.max(0, squaredNorm));
+
+    if (!this.postings.has(productId)) this.postings.set(productId, new Map());
+    const users = this.postings.get(productId);
+    if (newWeight === 0) {
+      users.delete(userId);
+      if (users.size === 0) this.postings.delete(productId);
+    } else {
+      users.set(userId, newWeight);
+    }
+  }
+
+  // Significance-weighted cosine from a dot product, the two squared norms
+  // and the number of shared products
+  score(dotProduct, squaredNorm1, squaredNorm2, overlap) {
+    if (dotProduct === 0 || squaredNorm1 === 0 || squaredNorm2 === 0) return 0;
+    const cosine = dotProduct / Math.sqrt(squaredNorm1 * squaredNorm2);
+    return (
+      (cosine * Math.min(overlap, this.significanceOverlap)) /
+      this.significanceOverlap
+    );
+  }
+
+  // Similarity between two rows of the user-item matrix
+  similarity(interactions1, interactions2) {
+    let dotProduct = 0;
+    let overlap = 0;
+    let squaredNorm1 = 0;
+    let squaredNorm2 = 0;
+
+    for (const [productId, weight] of interactions1) {
+      squaredNorm1 += weight * weight;
+      if (interactions2.has(productId)) {
+        dotProduct += weight * interactions2.get(productId);
+        overlap++;
+      }
+    }
+    for (const weight of interactions2.values()) {
+      squaredNorm2 += weight * weight;
+    }
+
+    return this.score(dotProduct, squaredNorm1, squaredNorm2, overlap);
+  }
+
+  // Up to `limit` users most similar to the given user row, best first, as
+  // { userId, similarity }. The user's own entry is skipped.
+  findSimilar(userId, interactions, limit = 10) {
+    const dotProducts = new Map();
+    const overlaps = new Map();
+    let squaredNorm = 0;
+
+    for (const [productId, weight] of interactions) {
+      squaredNorm += weight * weight;
+      for (const [otherId, otherWeight] of this.postings.get(productId) || []) {
+        if (otherId === userId) continue;
+        dotProducts.set(
+          otherId,
+          (dotProducts.get(otherId) || 0) + weight * otherWeight
+        );
+        overlaps.set(otherId, (overlaps.get(otherId) || 0) + 1);
+      }
+    }
+
+    const similar = [];
+    for (const [otherId, dotProduct] of dotProducts) {
+      const similarity = this.score(
+        dotProduct,
+        squaredNorm,
+        this.squaredNorms.get(otherId) || 0,
+        overlaps.get(otherId)
+      );
+      if (similarity > this.minSimilarity) {
+        similar.push({ userId: otherId, similarity });
+      }
+    }
+
+    return similar.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+}
+
+export default UserSimilarityIndex;
@@ -0,0 +1,27 @@
+import { parentPort, workerData } from "worker_threads";
+import { RecommendationEngine } from "../utils/recommender.js";
+
+// Builds a recommendation model off the main thread and posts back its
+// exported state. Product and user data arrive as plain objects in
+// `workerData`; the worker never touches the database.
+//
+// "full" trains everything from scratch. "incremental" starts from the
+// current model's state, keeps product features and item embeddings, and
+// rebuilds the interaction-based models.
+
+const { mode, options, products, users, state } = workerData;
+
+const engine = new RecommendationEngine(options);
+
+if (mode === "incremental" && state) {
+  engine.importState(state);
+  engine.loadUserItemMatrix(users);
+  engine.refreshModels();
+} else {
+  engine.buildProductFeatures(products);
+  engine.loadUserItemMatrix(users);
+  engine.trainModels();
+}
+engine.trainedAt = new Date(engine.now());
+
+parentPort.postMessage(engine.exportState());
@@ -1,22 +1,53 @@
-import React from "react";
+import React, { useState } from "react";
 import { Link } from "react-router-dom";
-import { Star, Heart, Eye, ShoppingCart } from "lucide-react";
-import { api } from "../services/api";
+import {
+  Star,
+  Heart,
+  Eye,
+  EyeOff,
+  ShoppingCart,
+  Lightbulb,
+  Undo2,
+} from "lucide-react";
+import { productsAPI } from "../services/api";
 import useAuthStore from "../store/authStore";
 
-const ProductCard = ({ product, onInteraction }) => {
+const ProductCard = ({ product, onInteraction, reason }) => {
   const { isAuthenticated } = useAuthStore();
+  const [isHidden, setIsHidden] = useState(false);
 
+  // Returns whether the interaction was recorded
   const handleInteraction = async (type) => {
-    if (!isAuthenticated) return;
+    if (!isAuthenticated) return false;
 
     try {
-      await api.post(`/api/products/${product._id}/interact`, { type });
+      await productsAPI.trackInteraction(product.product_id, { type });
       if (onInteraction) {
-        onInteraction(product._id, type);
+        onInteraction(product.product_id, type);
       }
+      return true;
     } catch (error) {
       console.error(`Failed to record ${type} interaction:`, error);
+      return false;
+    }
+  };
+
+  // "Not interested" hides the product from future recommendations
+  const handleHide = async () => {
+    if (await handleInteraction("hide")) {
+      setIsHidden(true);
+    }
+  };
+
+  const handleUndoHide = async () => {
+    try {
+      await productsAPI.undoInteraction(product.product_id, "hide");
+      setIsHidden(false);
+      if (onInteraction) {
+        onInteraction(product.product_id, "unhide");
+      }
+    } catch (error) {
+      console.error("Failed to undo hide interaction:", error);
     }
   };
 
@@ -24,6 +55,24 @@ const ProductCard = ({ product, onInteraction }) => {
     return typeof price === "number" ? price.toFixed(2) : price;
   };
 
+  if (isHidden) {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 flex flex-col items-center justify-center text-center h-full">
+        <EyeOff className="h-6 w-6 text-gray-400 mb-2" />
+        <p className="text-sm text-gray-600 mb-3">
+          We won't recommend {product.product_name} again.
+        </p>
+        <button
+          onClick={handleUndoHide}
+          className="flex items-center text-sm text-primary-600 hover:text-primary-700 font-medium"
+        >
+          <Undo2 className="h-4 w-4 mr-1" />
+          Undo
+        </button>
+      </div>
+    );
+  }
+
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow group">
       <div className="aspect-square bg-gray-200 relative overflow-hidden">
@@ -77,6 +126,13 @@ const ProductCard = ({ product, onInteraction }) => {
             >
               <Eye className="h-4 w-4 text-gray-600 hover:text-blue-500" />
             </button>
+            <button
+              onClick={handleHide}
+              className="p-2 bg-white rounded-full shadow-md hover:bg-gray-100 transition-colors"
+              title="Not interested"
+            >
+              <EyeOff className="h-4 w-4 text-gray-600 hover:text-gray-900" />
+            </button>
           </div>
         )}
       </div>
@@ -105,6 +161,17 @@ const ProductCard = ({ product, onInteraction }) => {
           </div>
         )}
 
+        {/* Why this was recommended */}
+        {reason?.message && (
+          <div
+            className="flex items-center text-xs text-primary-700 bg-primary-50 rounded px-2 py-1 mb-2"
+            title={reason.message}
+          >
+            <Lightbulb className="h-3 w-3 mr-1 flex-shrink-0" />
+            <span className="line-clamp-1">{reason.message}</span>
+          </div>
+        )}
+
         <div className="flex items-center mb-3">
           <div className="flex items-center mr-2">
             <Star className="h-4 w-4 text-yellow-400 fill-current" />
@@ -114,7 +181,11 @@ const ProductCard = ({ product, onInteraction }) => {
           </div>
           {product.quantity_in_stock !== undefined && (
             <div className="text-sm text-gray-500">
-              {product.quantity_in_stock > 0 ? (
+              {product.availability === "low_stock" ? (
+                <span className="text-amber-600">
+                  Only {product.quantity_in_stock} left
+                </span>
+              ) : product.quantity_in_stock > 0 ? (
                 <span className="text-green-600">
                   In Stock ({product.quantity_in_stock})
                 </span>
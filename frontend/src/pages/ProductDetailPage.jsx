@@ -9,15 +9,32 @@ import {
   Truck,
   Shield,
 } from "lucide-react";
-import { api } from "../services/api";
+import { productsAPI, recommendationsAPI } from "../services/api";
 import useAuthStore from "../store/authStore";
 import ProductCard from "../components/ProductCard";
 import LoadingSpinner from "../components/LoadingSpinner";
 
+// Product ids viewed in this browser tab, oldest first, so anonymous
+// sessions can still get "customers then viewed" suggestions
+const RECENT_VIEWS_KEY = "recentViews";
+const MAX_RECENT_VIEWS = 10;
+
+const recordRecentView = (productId) => {
+  const recent = JSON.parse(sessionStorage.getItem(RECENT_VIEWS_KEY) || "[]");
+  const updated = [...recent.filter((id) => id !== productId), productId].slice(
+    -MAX_RECENT_VIEWS
+  );
+  sessionStorage.setItem(RECENT_VIEWS_KEY, JSON.stringify(updated));
+  return updated;
+};
+
 const ProductDetailPage = () => {
   const { id } = useParams();
   const [product, setProduct] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
+  const [nextProducts, setNextProducts] = useState([]);
+  const [boughtTogether, setBoughtTogether] = useState([]);
+  const [complements, setComplements] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedImageIndex, setSelectedImageIndex] = useState(0);
@@ -33,24 +50,62 @@ const ProductDetailPage = () => {
       setLoading(true);
       setError(null);
 
-      const response = await api.get(`/api/products/${id}`);
+      const response = await productsAPI.getProductById(id);
       setProduct(response.data.product);
 
       // Record view interaction if authenticated
       if (isAuthenticated) {
         try {
-          await api.post(`/api/products/${id}/interact`, { type: "view" });
+          await productsAPI.trackInteraction(id, { type: "view" });
         } catch (err) {
           console.error("Failed to record view interaction:", err);
         }
       }
 
+      // Fetch what shoppers usually look at after this product
+      const productId = response.data.product.product_id;
+      const recentViews = recordRecentView(productId);
+      try {
+        const nextResponse = await recommendationsAPI.getNextItems({
+          after: productId,
+          limit: 4,
+          ...(isAuthenticated ? {} : { recent: recentViews.join(",") }),
+        });
+        setNextProducts(nextResponse.data.recommendations || []);
+      } catch (err) {
+        console.error("Failed to fetch next products:", err);
+      }
+
+      // Fetch products often bought in the same basket as this one
+      try {
+        const boughtTogetherResponse = await productsAPI.getBoughtTogether(
+          productId,
+          { limit: 4 }
+        );
+        setBoughtTogether(boughtTogetherResponse.data.recommendations || []);
+      } catch (err) {
+        console.error("Failed to fetch frequently bought together:", err);
+      }
+
+      // Fetch products from other subcategories that go with this one
+      try {
+        const complementsResponse = await productsAPI.getComplements(
+          productId,
+          { limit: 4 }
+        );
+        setComplements(complementsResponse.data.recommendations || []);
+      } catch (err) {
+        console.error("Failed to fetch complementary products:", err);
+      }
+
       // Fetch related products
       if (response.data.product.category) {
         try {
-          const relatedResponse = await api.get(
-            `/api/products?category=${response.data.product.category}&limit=4&exclude=${id}`
-          );
+          const relatedResponse = await productsAPI.getProducts({
+            category: response.data.product.category,
+            limit: 4,
+            exclude: id,
+          });
           setRelatedProducts(relatedResponse.data.products || []);
         } catch (err) {
           console.error("Failed to fetch related products:", err);
@@ -68,7 +123,7 @@ const ProductDetailPage = () => {
     if (!isAuthenticated) return;
 
     try {
-      await api.post(`/api/products/${id}/interact`, { type });
+      await productsAPI.trackInteraction(id, { type });
       console.log(`${type} interaction recorded`);
     } catch (error) {
       console.error(`Failed to record ${type} interaction:`, error);
@@ -357,17 +412,63 @@ const ProductDetailPage = () => {
         </div>
       </div>
 
+      {/* Frequently Bought Together */}
+      {boughtTogether.length > 0 && (
+        <div className="mb-12">
+          <h2 className="text-2xl font-bold mb-6">
+            Frequently Bought Together
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            {boughtTogether.map((item) => (
+              <ProductCard
+                key={item._id}
+                product={item}
+                reason={item.reasons?.[0]}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Complete the Set */}
+      {complements.length > 0 && (
+        <div className="mb-12">
+          <h2 className="text-2xl font-bold mb-6">Complete the Set</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            {complements.map((complement) => (
+              <ProductCard
+                key={complement._id}
+                product={complement}
+                reason={complement.reasons?.[0]}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Customers Then Viewed */}
+      {nextProducts.length > 0 && (
+        <div className="mb-12">
+          <h2 className="text-2xl font-bold mb-6">Customers Then Viewed</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+            {nextProducts.map((nextProduct) => (
+              <ProductCard
+                key={nextProduct._id}
+                product={nextProduct}
+                reason={nextProduct.reasons?.[0]}
+              />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Related Products */}
       {relatedProducts.length > 0 && (
         <div className="mb-12">
           <h2 className="text-2xl font-bold mb-6">Related Products</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             {relatedProducts.map((relatedProduct) => (
-              <ProductCard
-                key={relatedProduct._id}
-                product={relatedProduct}
-                onInteraction={handleInteraction}
-              />
+              <ProductCard key={relatedProduct._id} product={relatedProduct} />
             ))}
           </div>
         </div>
@@ -4,9 +4,11 @@ import { Filter, Search, SortAsc, Grid, List } from "lucide-react";
 import { api } from "../services/api";
 import ProductCard from "../components/ProductCard";
 import LoadingSpinner from "../components/LoadingSpinner";
+import useAuthStore from "../store/authStore";
 
 const ProductsPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
+  const { isAuthenticated } = useAuthStore();
   const [products, setProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -292,6 +294,9 @@ const ProductsPage = () => {
               <option value="price-desc">Price (High to Low)</option>
               <option value="rating-desc">Rating (High to Low)</option>
               <option value="createdAt-desc">Newest First</option>
+              {isAuthenticated && (
+                <option value="personalized-desc">Recommended for You</option>
+              )}
             </select>
           </div>
 
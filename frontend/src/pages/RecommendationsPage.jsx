@@ -136,6 +136,7 @@ const RecommendationsPage = () => {
               <ProductCard
                 key={product._id}
                 product={product}
+                reason={product.reasons?.[0]}
                 onInteraction={handleProductInteraction}
               />
             ))}
@@ -177,6 +178,7 @@ const RecommendationsPage = () => {
               <ProductCard
                 key={product._id}
                 product={product}
+                reason={product.reasons?.[0]}
                 onInteraction={handleProductInteraction}
               />
             ))}
@@ -62,8 +62,14 @@ export const productsAPI = {
   searchProducts: (params = {}) => api.get("/products/search", { params }),
   trackInteraction: (productId, interactionData) =>
     api.post(`/products/${productId}/interact`, interactionData),
+  undoInteraction: (productId, type) =>
+    api.delete(`/products/${productId}/interact`, { params: { type } }),
   getProductRecommendations: (productId, params = {}) =>
     api.get(`/products/${productId}/recommendations`, { params }),
+  getBoughtTogether: (productId, params = {}) =>
+    api.get(`/products/${productId}/bought-together`, { params }),
+  getComplements: (productId, params = {}) =>
+    api.get(`/products/${productId}/complements`, { params }),
 };
 
 // Recommendations API
@@ -76,6 +82,7 @@ export const recommendationsAPI = {
     api.get("/recommendations/category-based", { params }),
   getSimilarUsersRecommendations: (params = {}) =>
     api.get("/recommendations/similar-users", { params }),
+  getNextItems: (params = {}) => api.get("/recommendations/next", { params }),
   getRecommendationStats: () => api.get("/recommendations/stats"),
   initializeEngine: () => api.post("/recommendations/initialize"),
 };
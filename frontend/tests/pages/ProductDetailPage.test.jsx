@@ -0,0 +1,73 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { render, screen } from "@testing-library/react";
+import api from "../../src/services/api.js";
+import ProductDetailPage from "../../src/pages/ProductDetailPage.jsx";
+
+// Mock React Router
+vi.mock("react-router-dom", () => ({
+  useParams: () => ({ id: "7" }),
+  Link: ({ to, children, ...props }) => (
+    <a href={to} {...props}>
+      {children}
+    </a>
+  ),
+}));
+
+const product = (product_id, product_name) => ({
+  _id: `p${product_id}`,
+  product_id,
+  product_name,
+  description: product_name,
+  category: "Pets",
+  subcategory: "Dog Accessories",
+  manufacturer: "Acme",
+  price: 20,
+  rating: 4,
+  quantity_in_stock: 10,
+});
+
+// Responses by path, relative to the client's /api base URL
+const responses = {
+  "/products/7": { product: product(7, "Dog Collar") },
+  "/products/7/bought-together": {
+    recommendations: [product(10, "Dog Brush")],
+  },
+  "/products/7/complements": { recommendations: [product(8, "Dog Bowl")] },
+  "/recommendations/next": { recommendations: [product(9, "Dog Leash")] },
+  "/products": { products: [] },
+};
+
+describe("ProductDetailPage", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    api.get.mockImplementation(async (url) => {
+      if (!responses[url]) throw new Error(`Unexpected request ${url}`);
+      return { data: responses[url] };
+    });
+  });
+
+  it("loads bought-together, complement and next-item sections", async () => {
+    render(<ProductDetailPage />);
+
+    expect(
+      await screen.findByText("Frequently Bought Together")
+    ).toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith("/products/7/bought-together", {
+      params: { limit: 4 },
+    });
+    expect(await screen.findByText("Complete the Set")).toBeInTheDocument();
+    expect(
+      await screen.findByText("Customers Then Viewed")
+    ).toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith("/products/7/complements", {
+      params: { limit: 4 },
+    });
+    expect(api.get).toHaveBeenCalledWith("/recommendations/next", {
+      params: expect.objectContaining({ after: 7, limit: 4 }),
+    });
+    // The base URL already ends in /api
+    for (const [url] of api.get.mock.calls) {
+      expect(url).not.toMatch(/^\/api\//);
+    }
+  });
+});